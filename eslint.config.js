@@ -40,10 +40,14 @@ export default [
         URL: 'readonly',
         setTimeout: 'readonly',
         clearTimeout: 'readonly',
+        setInterval: 'readonly',
+        clearInterval: 'readonly',
         ArrayBuffer: 'readonly',
         Uint8Array: 'readonly',
         Blob: 'readonly',
+        Event: 'readonly',
         ReadableStream: 'readonly',
+        TextDecoder: 'readonly',
         SillyTavern: 'readonly',
         toastr: 'readonly',
         alert: 'readonly',
@@ -1,7 +1,10 @@
 import { createLogger } from './src/logger.js';
 import { getSettingsReference, DEFAULT_SETTINGS } from './src/settings.js';
-import { toggleCss, initExtensionUI } from './src/ui.js';
-import { createRetryableFetch } from './src/fetch-retry.js';
+import { toggleCss, initExtensionUI, refreshSettingsPanel } from './src/ui.js';
+import { syncPatches } from './src/patching.js';
+import { initStats } from './src/stats.js';
+import { registerSlashCommands } from './src/slash-commands.js';
+import { installPublicApi } from './src/api.js';
 
 const settingsKey = 'FetchRetry';
 
@@ -13,11 +16,15 @@ const settingsKey = 'FetchRetry';
   });
 
   const logger = createLogger(() => settings.debugMode);
+  initStats(context);
 
   logger.info('Initializing extension...');
 
   toggleCss(settings.enabled, logger);
 
+  registerSlashCommands(settings, context, logger, () => refreshSettingsPanel(settings, logger));
+  installPublicApi(context, settings, logger);
+
   const initUI = () => {
     initExtensionUI(settings, context, logger);
     context.saveSettingsDebounced();
@@ -32,13 +39,7 @@ const settingsKey = 'FetchRetry';
     initUI();
   }
 
-  if (!window._fetchRetryPatched) {
-    logger.info('Attempting to monkey-patch window.fetch...');
-    const originalFetch = window.fetch;
-    window.fetch = createRetryableFetch(originalFetch, settings, logger);
-    window._fetchRetryPatched = true;
-    logger.info('Extension loaded and fetch patched successfully.');
-  }
+  syncPatches(settings, logger);
 
   logger.info('Extension initialization complete.');
 })();
@@ -0,0 +1,173 @@
+import { ACTIVITY_OUTCOMES, clearActivity, getActivity, onActivityChange } from './activity.js';
+
+const FILTER_OPTIONS = [
+  { value: 'all', label: 'All requests' },
+  { value: ACTIVITY_OUTCOMES.SUCCESS, label: 'Succeeded first try' },
+  { value: ACTIVITY_OUTCOMES.RETRIED, label: 'Succeeded after retry' },
+  { value: ACTIVITY_OUTCOMES.PASSED, label: 'Passed through' },
+  { value: ACTIVITY_OUTCOMES.FAILED, label: 'Failed' },
+  { value: ACTIVITY_OUTCOMES.ABORTED, label: 'Aborted' },
+  { value: ACTIVITY_OUTCOMES.PENDING, label: 'In progress' },
+];
+
+function formatDuration(ms) {
+  return ms === null ? '…' : `${(ms / 1000).toFixed(1)}s`;
+}
+
+function shortenUrl(url) {
+  try {
+    const parsed = new URL(url, window.location.href);
+    return parsed.origin === window.location.origin ? parsed.pathname : `${parsed.host}${parsed.pathname}`;
+  } catch {
+    return url;
+  }
+}
+
+function describeAttempt(attempt, index) {
+  const parts = [`#${index + 1} ${attempt.target}`];
+  if (attempt.error) {
+    parts.push(attempt.error);
+  } else if (attempt.status !== null) {
+    parts.push(`HTTP ${attempt.status}`);
+  } else {
+    parts.push('in progress');
+  }
+  if (attempt.duration !== null) {
+    parts.push(formatDuration(attempt.duration));
+  }
+  if (attempt.delay > 0) {
+    parts.push(`waited ${formatDuration(attempt.delay)}`);
+  }
+  return parts.join(' · ');
+}
+
+function createAttemptItem(attempt, index) {
+  const item = document.createElement('li');
+  item.textContent = describeAttempt(attempt, index);
+  if (attempt.snippet) {
+    const snippet = document.createElement('pre');
+    snippet.textContent = attempt.snippet;
+    item.appendChild(snippet);
+  }
+  return item;
+}
+
+function createEntry(entry, openIds) {
+  const details = document.createElement('details');
+  details.classList.add('fetch-retry-activity', `fetch-retry-activity-${entry.outcome}`);
+  details.open = openIds.has(entry.id);
+  details.addEventListener('toggle', () => {
+    if (details.open) {
+      openIds.add(entry.id);
+    } else {
+      openIds.delete(entry.id);
+    }
+  });
+
+  const summary = document.createElement('summary');
+  const outcome = document.createElement('span');
+  outcome.classList.add('fetch-retry-activity-outcome');
+  outcome.textContent = entry.outcome;
+  const url = document.createElement('span');
+  url.classList.add('fetch-retry-activity-url');
+  url.textContent = `${entry.method} ${shortenUrl(entry.url)}`;
+  url.title = entry.url;
+  const meta = document.createElement('small');
+  const attempts = `${entry.attempts.length} attempt${entry.attempts.length === 1 ? '' : 's'}`;
+  const startedAt = new Date(entry.startedAt).toLocaleTimeString();
+  meta.textContent = `${startedAt} · ${attempts} · ${formatDuration(entry.duration)}`;
+  summary.append(outcome, url, meta);
+
+  const list = document.createElement('ol');
+  entry.attempts.forEach((attempt, index) => list.appendChild(createAttemptItem(attempt, index)));
+  details.append(summary, list);
+
+  if (entry.error) {
+    const error = document.createElement('div');
+    error.classList.add('validation-error', 'visible');
+    error.textContent = entry.error;
+    details.appendChild(error);
+  }
+
+  return details;
+}
+
+/**
+ * Lists the most recent intercepted requests, newest first, each expandable into its attempts
+ * with status or error, time taken, delay waited and any error body snippet.
+ */
+export function renderActivityPanel(container, settings, logger) {
+  const wrapper = document.createElement('div');
+  wrapper.classList.add('fetch-retry-setting-wrapper');
+
+  const settingRow = document.createElement('div');
+  settingRow.classList.add('setting-row');
+
+  const label = document.createElement('label');
+  label.htmlFor = 'fetch-retry-activity-filter';
+  label.textContent = 'Activity';
+
+  const filterSelect = document.createElement('select');
+  filterSelect.id = 'fetch-retry-activity-filter';
+  filterSelect.classList.add('text_pole');
+  FILTER_OPTIONS.forEach(option => {
+    const optionElement = document.createElement('option');
+    optionElement.value = option.value;
+    optionElement.textContent = option.label;
+    filterSelect.appendChild(optionElement);
+  });
+
+  const clearButton = document.createElement('div');
+  clearButton.classList.add('menu_button');
+  clearButton.textContent = 'Clear';
+  clearButton.addEventListener('click', () => {
+    logger.info('Activity log cleared.');
+    clearActivity();
+  });
+
+  settingRow.append(label, filterSelect, clearButton);
+
+  const list = document.createElement('div');
+  list.classList.add('fetch-retry-activity-list');
+  const openIds = new Set();
+  // The element shown for each listed entry, so a change to one request only replaces its row.
+  const rows = new Map();
+  const isShown = entry => filterSelect.value === 'all' || entry.outcome === filterSelect.value;
+
+  const render = () => {
+    const all = getActivity();
+    const shown = all.filter(isShown);
+    rows.clear();
+    shown.forEach(entry => rows.set(entry.id, createEntry(entry, openIds)));
+    list.replaceChildren(...rows.values());
+    if (shown.length === 0) {
+      const empty = document.createElement('small');
+      if (!(settings.activityLogSize > 0)) {
+        empty.textContent = 'The activity log is turned off.';
+      } else {
+        empty.textContent = all.length === 0 ? 'No requests intercepted yet.' : 'No requests match this filter.';
+      }
+      list.appendChild(empty);
+    }
+    clearButton.classList.toggle('disabled', all.length === 0);
+  };
+
+  const update = entry => {
+    const row = entry ? rows.get(entry.id) : null;
+    if (row && isShown(entry)) {
+      const replacement = createEntry(entry, openIds);
+      row.replaceWith(replacement);
+      rows.set(entry.id, replacement);
+    } else if (!entry || row || isShown(entry)) {
+      // Entries were added or removed, or one moved in or out of the filter.
+      render();
+    }
+  };
+
+  filterSelect.addEventListener('change', render);
+  onActivityChange(update);
+  render();
+
+  wrapper.append(settingRow, list);
+  container.appendChild(wrapper);
+}
@@ -0,0 +1,99 @@
+export const ACTIVITY_OUTCOMES = Object.freeze({
+  PENDING: 'pending',
+  SUCCESS: 'success',
+  RETRIED: 'retried',
+  PASSED: 'passed',
+  FAILED: 'failed',
+  ABORTED: 'aborted',
+});
+
+const MAX_SNIPPET_LENGTH = 500;
+
+const entries = [];
+const listeners = new Set();
+let nextId = 1;
+
+// `entry` is the one entry that changed, or null when entries were added or removed.
+function notifyListeners(entry = null) {
+  listeners.forEach(listener => listener(entry));
+}
+
+export function truncateSnippet(text) {
+  const snippet = String(text ?? '').trim();
+  return snippet.length > MAX_SNIPPET_LENGTH ? `${snippet.slice(0, MAX_SNIPPET_LENGTH)}…` : snippet;
+}
+
+/**
+ * Starts a history entry for an intercepted request and keeps only the latest
+ * `activityLogSize` entries. Returns null when the activity log is turned off; every
+ * other function here accepts that null and does nothing.
+ */
+export function startActivity(settings, { url, method }) {
+  if (!(settings.activityLogSize > 0)) {
+    return null;
+  }
+
+  const entry = {
+    id: nextId++,
+    url,
+    method,
+    startedAt: Date.now(),
+    duration: null,
+    outcome: ACTIVITY_OUTCOMES.PENDING,
+    error: null,
+    attempts: [],
+  };
+  entries.unshift(entry);
+  entries.splice(settings.activityLogSize);
+  notifyListeners();
+  return entry;
+}
+
+export function beginAttempt(entry, target) {
+  if (!entry) {
+    return null;
+  }
+  const attempt = { target, startedAt: Date.now(), duration: null, status: null, error: null, snippet: null, delay: 0 };
+  entry.attempts.push(attempt);
+  return attempt;
+}
+
+export function endAttempt(entry, attempt, { status = null, error = null, snippet = null } = {}) {
+  if (!entry || !attempt) {
+    return;
+  }
+  const duration = Date.now() - attempt.startedAt;
+  Object.assign(attempt, { duration, status, error, snippet: snippet ? truncateSnippet(snippet) : null });
+  notifyListeners(entry);
+}
+
+export function recordRetryDelay(entry, delay) {
+  const attempt = entry?.attempts[entry.attempts.length - 1];
+  if (attempt) {
+    attempt.delay = Math.round(delay);
+    notifyListeners(entry);
+  }
+}
+
+// Duration runs until the response is handed back to the caller, not until its body is consumed.
+export function finishActivity(entry, outcome, error = null) {
+  if (!entry) {
+    return;
+  }
+  Object.assign(entry, { outcome, error: error?.message ?? null, duration: Date.now() - entry.startedAt });
+  notifyListeners(entry);
+}
+
+export function getActivity() {
+  return [...entries];
+}
+
+export function clearActivity() {
+  entries.length = 0;
+  notifyListeners();
+}
+
+export function onActivityChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
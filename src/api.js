@@ -0,0 +1,124 @@
+import { registerErrorClassifier } from './error-classifiers.js';
+
+export const FETCH_RETRY_EVENTS = Object.freeze({
+  ATTEMPT_START: 'attempt-start',
+  RETRY_SCHEDULED: 'retry-scheduled',
+  SUCCESS: 'success',
+  EXHAUSTED: 'exhausted',
+  ABORTED: 'aborted',
+});
+
+const HOOK_NAMES = ['shouldRetry', 'beforeAttempt'];
+
+const listeners = new Map(Object.values(FETCH_RETRY_EVENTS).map(event => [event, new Set()]));
+const hooks = new Map(HOOK_NAMES.map(name => [name, []]));
+let eventSource = null;
+let apiLogger = null;
+
+// SillyTavern event types are snake_case, e.g. `fetch_retry_attempt_start`.
+export function getEventSourceType(event) {
+  return `fetch_retry_${event.replace(/-/g, '_')}`;
+}
+
+export function onFetchRetryEvent(event, listener) {
+  if (!listeners.has(event)) {
+    throw new Error(`Unknown Fetch Retry event "${event}"`);
+  }
+  listeners.get(event).add(listener);
+  return () => listeners.get(event).delete(listener);
+}
+
+export function offFetchRetryEvent(event, listener) {
+  listeners.get(event)?.delete(listener);
+}
+
+/**
+ * Delivers an event to API listeners and SillyTavern's eventSource. Listener errors are
+ * logged and never reach the request.
+ */
+export function emitFetchRetryEvent(event, detail) {
+  const payload = Object.freeze({ type: event, ...detail });
+  listeners.get(event).forEach(listener => {
+    try {
+      listener(payload);
+    } catch (err) {
+      apiLogger?.warn(`Listener for "${event}" threw: ${err.message}`);
+    }
+  });
+  eventSource?.emit(getEventSourceType(event), payload)?.catch?.(err => {
+    apiLogger?.warn(`eventSource handler for "${event}" failed: ${err.message}`);
+  });
+}
+
+export function registerHook(name, hook) {
+  if (!hooks.has(name)) {
+    throw new Error(`Unknown Fetch Retry hook "${name}". Available: ${HOOK_NAMES.join(', ')}`);
+  }
+  if (typeof hook !== 'function') {
+    throw new Error(`Fetch Retry hook "${name}" must be a function`);
+  }
+  hooks.get(name).push(hook);
+  return () => {
+    const list = hooks.get(name);
+    const index = list.indexOf(hook);
+    if (index !== -1) {
+      list.splice(index, 1);
+    }
+  };
+}
+
+/**
+ * Asks the `shouldRetry` hooks about a failed attempt. The first hook returning a boolean
+ * decides; if none does, `defaultDecision` stands. A throwing hook is skipped.
+ */
+export async function consultShouldRetry(defaultDecision, context) {
+  for (const hook of hooks.get('shouldRetry')) {
+    try {
+      const decision = await hook(Object.freeze({ ...context, defaultDecision }));
+      if (typeof decision === 'boolean') {
+        return decision;
+      }
+    } catch (err) {
+      apiLogger?.warn(`shouldRetry hook threw, ignoring it: ${err.message}`);
+    }
+  }
+  return defaultDecision;
+}
+
+/**
+ * Passes the request init through every `beforeAttempt` hook in turn. A hook may return a
+ * replacement init object; anything else keeps the current one.
+ */
+export async function runBeforeAttemptHooks(init, context) {
+  let current = init;
+  for (const hook of hooks.get('beforeAttempt')) {
+    try {
+      const result = await hook(current, Object.freeze(context));
+      if (result && typeof result === 'object') {
+        current = result;
+      }
+    } catch (err) {
+      apiLogger?.warn(`beforeAttempt hook threw, ignoring it: ${err.message}`);
+    }
+  }
+  return current;
+}
+
+/**
+ * Publishes the API as `window.FetchRetry` and forwards events to the context's eventSource.
+ */
+export function installPublicApi(context, settings, logger) {
+  eventSource = context.eventSource ?? null;
+  apiLogger = logger;
+
+  window.FetchRetry = Object.freeze({
+    events: FETCH_RETRY_EVENTS,
+    on: onFetchRetryEvent,
+    off: offFetchRetryEvent,
+    registerHook,
+    registerErrorClassifier,
+    getEventSourceType,
+    isEnabled: () => Boolean(settings.enabled),
+  });
+  logger.info('Public API installed as window.FetchRetry.');
+}
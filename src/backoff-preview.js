@@ -0,0 +1,50 @@
+import { getBackoffRange } from './backoff.js';
+
+export const PREVIEW_ID = 'fetch-retry-backoff-preview';
+const MS_PER_SECOND = 1000;
+
+function formatSeconds(ms) {
+  return `${Number((ms / MS_PER_SECOND).toFixed(1))}s`;
+}
+
+function formatRange({ min, max }) {
+  return Math.round(min) === Math.round(max) ? formatSeconds(max) : `${formatSeconds(min)}–${formatSeconds(max)}`;
+}
+
+function describeSequence(base, settings) {
+  return Array.from({ length: settings.maxRetries }, (_, attempt) => getBackoffRange(base, attempt, settings))
+    .map(formatRange)
+    .join(', ');
+}
+
+function renderPreview(preview, settings) {
+  if (settings.maxRetries === 0) {
+    preview.replaceChildren('Retries are off (Maximum Retries is 0).');
+    return;
+  }
+  const general = document.createElement('div');
+  general.textContent = `Retry delays: ${describeSequence(settings.retryDelay, settings)}`;
+  const rateLimited = document.createElement('div');
+  rateLimited.textContent = 'After a rate limit: ' +
+    `${describeSequence(Math.max(settings.rateLimitDelay, settings.retryDelay), settings)}`;
+  preview.replaceChildren(general, rateLimited);
+}
+
+/**
+ * Shows the delay before each retry that the global backoff settings produce, as ranges where
+ * the strategy is random. Updates while the settings in the drawer are edited.
+ */
+export function renderBackoffPreview(container, drawerContent, settings) {
+  const preview = document.createElement('small');
+  preview.id = PREVIEW_ID;
+  preview.classList.add('fetch-retry-backoff-preview');
+
+  const update = () => renderPreview(preview, settings);
+  // Edits anywhere in the drawer bubble up to it; applyAllSettings sends the refresh event.
+  drawerContent.addEventListener('input', update);
+  drawerContent.addEventListener('change', update);
+  preview.addEventListener('fetch-retry-refresh', update);
+  update();
+
+  (container.querySelector('.fetch-retry-setting-wrapper') ?? container).appendChild(preview);
+}
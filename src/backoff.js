@@ -0,0 +1,50 @@
+export const BACKOFF_STRATEGIES = Object.freeze({
+  FIXED: 'fixed',
+  LINEAR: 'linear',
+  EXPONENTIAL: 'exponential',
+  FULL_JITTER: 'full-jitter',
+  DECORRELATED: 'decorrelated',
+});
+
+function getNominalDelay(base, attempt, policy) {
+  switch (policy.backoffStrategy) {
+    case BACKOFF_STRATEGIES.FIXED:
+      return base;
+    case BACKOFF_STRATEGIES.LINEAR:
+      return base * (attempt + 1);
+    default:
+      return base * (policy.backoffMultiplier ** attempt);
+  }
+}
+
+/**
+ * The interval a retry delay is drawn from for a zero-based `attempt`, capped at `maxRetryDelay`.
+ * Fixed, linear and exponential spread ±`backoffJitter` around the nominal delay; full jitter
+ * draws from 0 to the exponential delay; decorrelated jitter draws from `base` to
+ * `previousDelay × backoffMultiplier`. Without a `previousDelay` the widest range is returned.
+ */
+export function getBackoffRange(base, attempt, policy, previousDelay = null) {
+  const cap = policy.maxRetryDelay;
+  const exponential = base * (policy.backoffMultiplier ** attempt);
+  let min;
+  let max;
+
+  if (policy.backoffStrategy === BACKOFF_STRATEGIES.FULL_JITTER) {
+    min = 0;
+    max = exponential;
+  } else if (policy.backoffStrategy === BACKOFF_STRATEGIES.DECORRELATED) {
+    min = base;
+    max = Math.max(base, (previousDelay ?? exponential) * policy.backoffMultiplier);
+  } else {
+    const nominal = getNominalDelay(base, attempt, policy);
+    min = nominal * (1 - policy.backoffJitter);
+    max = nominal * (1 + policy.backoffJitter);
+  }
+
+  return { min: Math.min(min, cap), max: Math.min(max, cap) };
+}
+
+export function computeBackoffDelay(base, attempt, policy, previousDelay = null) {
+  const { min, max } = getBackoffRange(base, attempt, policy, previousDelay);
+  return Math.round(min + (Math.random() * (max - min)));
+}
@@ -0,0 +1,103 @@
+import { readJsonBody } from './request-body.js';
+
+export const SEED_MODES = Object.freeze({
+  OFF: 'off',
+  INCREMENT: 'increment',
+  RANDOM: 'random',
+});
+
+// Largest 32-bit signed integer, the widest seed range providers accept.
+const MAX_SEED = 2147483647;
+const TEMPERATURE_PRECISION = 100;
+const PREFILL_FIELD = 'assistant_prefill';
+
+function mutateSeed(data, attempt, mode) {
+  if (mode === SEED_MODES.RANDOM) {
+    return Math.floor(Math.random() * MAX_SEED);
+  }
+  // SillyTavern sends -1 for "random"; count up from 0 instead so each retry is reproducible.
+  const base = Number.isInteger(data.seed) && data.seed >= 0 ? data.seed : 0;
+  return (base + attempt) % MAX_SEED;
+}
+
+// Steps up from the original temperature; bodies without one are left alone.
+function mutateTemperature(temperature, attempt, policy) {
+  const raised = Math.min(temperature + (policy.retryTemperatureStep * attempt), policy.retryMaxTemperature);
+  return Math.round(Math.max(temperature, raised) * TEMPERATURE_PRECISION) / TEMPERATURE_PRECISION;
+}
+
+function addNudge(data, policy) {
+  const atStart = policy.retryNudgePosition === 'start';
+  if (Array.isArray(data.messages)) {
+    // At the end, the nudge goes before a trailing assistant prefill so the prefill still leads the reply.
+    const messages = [...data.messages];
+    const trailingPrefill = messages.at(-1)?.role === 'assistant' ? 1 : 0;
+    messages.splice(atStart ? 0 : messages.length - trailingPrefill, 0, {
+      role: policy.retryNudgeRole,
+      content: policy.retryNudge,
+    });
+    return { messages };
+  }
+  if (typeof data.prompt === 'string') {
+    return { prompt: atStart ? `${policy.retryNudge}\n${data.prompt}` : `${data.prompt}\n${policy.retryNudge}` };
+  }
+  return null;
+}
+
+// SillyTavern passes the Claude prefill as `assistant_prefill`; other chat bodies get a trailing assistant message.
+function swapPrefill(data, prefill) {
+  if (typeof data[PREFILL_FIELD] === 'string') {
+    return { [PREFILL_FIELD]: prefill };
+  }
+  if (!Array.isArray(data.messages)) {
+    return null;
+  }
+  const last = data.messages.at(-1);
+  const kept = last?.role === 'assistant' ? data.messages.slice(0, -1) : data.messages;
+  return { messages: [...kept, { role: 'assistant', content: prefill }] };
+}
+
+export function hasBodyMutations(policy) {
+  return Boolean(policy.enableBodyMutation) && (
+    policy.retrySeedMode !== SEED_MODES.OFF ||
+    policy.retryTemperatureStep > 0 ||
+    policy.retryNudge.trim().length > 0 ||
+    policy.retryPrefill.length > 0
+  );
+}
+
+/**
+ * Rewrites a JSON request body for a retry (`attempt` > 0): a new `seed`, a higher
+ * `temperature`, a nudge message and a swapped prefill, as configured. The first attempt and
+ * non-JSON bodies are sent unchanged. Returns `{ body, changes }`, where `changes` lists what
+ * was altered for logging.
+ */
+export function mutateRequestBody(bodyContent, attempt, policy) {
+  const data = attempt > 0 && hasBodyMutations(policy) ? readJsonBody(bodyContent) : null;
+  if (!data) {
+    return { body: bodyContent, changes: [] };
+  }
+
+  const mutated = { ...data };
+  const changes = [];
+  if (policy.retrySeedMode !== SEED_MODES.OFF) {
+    mutated.seed = mutateSeed(data, attempt, policy.retrySeedMode);
+    changes.push(`seed ${mutated.seed}`);
+  }
+  if (policy.retryTemperatureStep > 0 && typeof data.temperature === 'number') {
+    mutated.temperature = mutateTemperature(data.temperature, attempt, policy);
+    changes.push(`temperature ${mutated.temperature}`);
+  }
+  const nudged = policy.retryNudge.trim().length > 0 ? addNudge(mutated, policy) : null;
+  if (nudged) {
+    Object.assign(mutated, nudged);
+    changes.push(`${policy.retryNudgeRole} nudge`);
+  }
+  const prefilled = policy.retryPrefill.length > 0 ? swapPrefill(mutated, policy.retryPrefill) : null;
+  if (prefilled) {
+    Object.assign(mutated, prefilled);
+    changes.push('prefill');
+  }
+
+  return changes.length > 0 ? { body: JSON.stringify(mutated), changes } : { body: bodyContent, changes };
+}
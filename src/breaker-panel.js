@@ -0,0 +1,116 @@
+import {
+  BREAKER_STATES,
+  getBreakerStates,
+  onBreakerChange,
+  resetAllBreakers,
+  resetBreaker,
+} from './circuit-breaker.js';
+
+const REFRESH_INTERVAL = 1000;
+
+// Removes the previous panel's listener and timer when the panel is rendered again.
+let teardownPanel = null;
+
+function describeBreaker(breaker) {
+  const details = [`${breaker.failureRate}% failed of last ${breaker.requests}`];
+  if (breaker.state === BREAKER_STATES.OPEN) {
+    details.push(`probe in ${Math.ceil(breaker.cooldownLeft / 1000)}s`);
+  }
+  if (breaker.lastError) {
+    details.push(breaker.lastError);
+  }
+  return details.join(' · ');
+}
+
+function createBreakerRow(breaker, logger) {
+  const row = document.createElement('div');
+  row.classList.add('fetch-retry-breaker', `fetch-retry-breaker-${breaker.state}`);
+
+  const state = document.createElement('span');
+  state.classList.add('fetch-retry-breaker-state');
+  state.textContent = breaker.state;
+
+  const key = document.createElement('span');
+  key.classList.add('fetch-retry-breaker-key');
+  key.textContent = breaker.key;
+  key.title = describeBreaker(breaker);
+
+  const details = document.createElement('small');
+  details.textContent = describeBreaker(breaker);
+
+  const resetButton = document.createElement('div');
+  resetButton.classList.add('menu_button', 'fa-solid', 'fa-rotate-left', 'fetch-retry-icon-button');
+  resetButton.title = 'Reset this breaker';
+  resetButton.addEventListener('click', () => {
+    logger.info(`Circuit breaker for ${breaker.key} reset manually.`);
+    resetBreaker(breaker.key);
+  });
+
+  row.append(state, key, resetButton, details);
+  return row;
+}
+
+/**
+ * Shows the live state of every circuit breaker with per-breaker and global reset buttons.
+ * Breakers only appear once a request has gone through them.
+ */
+export function renderBreakerPanel(container, settings, logger) {
+  teardownPanel?.();
+
+  const wrapper = document.createElement('div');
+  wrapper.classList.add('fetch-retry-setting-wrapper');
+
+  const settingRow = document.createElement('div');
+  settingRow.classList.add('setting-row');
+
+  const label = document.createElement('label');
+  label.textContent = 'Circuit Breakers';
+
+  const resetAllButton = document.createElement('div');
+  resetAllButton.classList.add('menu_button');
+  resetAllButton.textContent = 'Reset all';
+  resetAllButton.addEventListener('click', () => {
+    logger.info('All circuit breakers reset manually.');
+    resetAllBreakers();
+  });
+
+  settingRow.append(label, resetAllButton);
+
+  const list = document.createElement('div');
+  list.classList.add('fetch-retry-breaker-list');
+
+  // Keeps the cooldown countdown current, ticking only while a breaker is open.
+  let ticker = null;
+
+  const render = () => {
+    const breakers = getBreakerStates(settings);
+    list.replaceChildren(...breakers.map(breaker => createBreakerRow(breaker, logger)));
+    if (breakers.length === 0) {
+      const empty = document.createElement('small');
+      empty.textContent = settings.enableCircuitBreaker ?
+        'No requests have gone through a breaker yet.' :
+        'The circuit breaker is disabled.';
+      list.appendChild(empty);
+    }
+    resetAllButton.classList.toggle('disabled', breakers.length === 0);
+
+    const counting = breakers.some(breaker => breaker.state === BREAKER_STATES.OPEN);
+    if (counting && ticker === null) {
+      ticker = setInterval(render, REFRESH_INTERVAL);
+    } else if (!counting && ticker !== null) {
+      clearInterval(ticker);
+      ticker = null;
+    }
+    return breakers;
+  };
+
+  const unsubscribe = onBreakerChange(render);
+  teardownPanel = () => {
+    unsubscribe();
+    clearInterval(ticker);
+  };
+  render();
+
+  wrapper.append(settingRow, list);
+  container.appendChild(wrapper);
+}
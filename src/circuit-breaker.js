@@ -0,0 +1,173 @@
+import { getScopeKey } from './url-matcher.js';
+
+export const BREAKER_STATES = Object.freeze({
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open',
+});
+
+const { CLOSED, OPEN, HALF_OPEN } = BREAKER_STATES;
+
+const breakers = new Map();
+const listeners = new Set();
+
+function notifyListeners() {
+  listeners.forEach(listener => listener());
+}
+
+function createBreaker(key) {
+  return { key, state: CLOSED, outcomes: [], openedAt: 0, generation: 0, probeInFlight: false, lastError: null };
+}
+
+function getBreaker(key) {
+  if (!breakers.has(key)) {
+    breakers.set(key, createBreaker(key));
+  }
+  return breakers.get(key);
+}
+
+function getFailureRate(outcomes) {
+  if (outcomes.length === 0) {
+    return 0;
+  }
+  return outcomes.filter(success => !success).length / outcomes.length * 100;
+}
+
+// Every opening starts a new generation; results of requests let through before it are stale.
+function openBreaker(breaker) {
+  Object.assign(breaker, {
+    state: OPEN,
+    openedAt: Date.now(),
+    generation: breaker.generation + 1,
+    probeInFlight: false,
+  });
+}
+
+function closeBreaker(breaker) {
+  Object.assign(breaker, { state: CLOSED, outcomes: [], probeInFlight: false, lastError: null });
+}
+
+export function getBreakerKey(url, policy, settings) {
+  return getScopeKey(url, policy, settings.circuitBreakerScope);
+}
+
+/**
+ * Asks the breaker whether a request may go out. Returns a ticket to hand back to
+ * recordBreakerResult; its `remaining` is null when the request may go, otherwise the number
+ * of milliseconds left until the breaker goes half-open (0 while a probe is pending). Once
+ * the cooldown has passed a single probe is let through; everyone else keeps failing fast
+ * until it settles.
+ */
+export function acquireBreaker(key, settings) {
+  const breaker = getBreaker(key);
+  const ticket = { key, remaining: null, generation: breaker.generation, probe: false };
+
+  if (breaker.state === OPEN) {
+    const remaining = breaker.openedAt + settings.circuitCooldown - Date.now();
+    if (remaining > 0) {
+      return { ...ticket, remaining };
+    }
+    breaker.state = HALF_OPEN;
+    breaker.probeInFlight = false;
+  }
+
+  if (breaker.state === HALF_OPEN) {
+    if (breaker.probeInFlight) {
+      return { ...ticket, remaining: 0 };
+    }
+    breaker.probeInFlight = true;
+    notifyListeners();
+    return { ...ticket, probe: true };
+  }
+
+  return ticket;
+}
+
+/**
+ * Records the outcome of a request let through by acquireBreaker. `success` is true, false,
+ * or null for outcomes that say nothing about the upstream's health (user aborts, fail-fast
+ * statuses), which only release a pending probe. Requests that went out before the breaker
+ * last opened, and anything but the probe while it is half-open, are ignored.
+ */
+export function recordBreakerResult(ticket, success, settings, error = null) {
+  const breaker = getBreaker(ticket.key);
+
+  if (ticket.generation !== breaker.generation || (breaker.state === HALF_OPEN && !ticket.probe)) {
+    return breaker.state;
+  }
+
+  if (success === null) {
+    if (ticket.probe) {
+      breaker.probeInFlight = false;
+      notifyListeners();
+    }
+    return breaker.state;
+  }
+
+  if (breaker.state === HALF_OPEN) {
+    if (success) {
+      closeBreaker(breaker);
+    } else {
+      breaker.lastError = error?.message ?? null;
+      openBreaker(breaker);
+    }
+    notifyListeners();
+    return breaker.state;
+  }
+
+  if (breaker.state === CLOSED) {
+    breaker.outcomes.push(Boolean(success));
+    const windowSize = Math.max(settings.circuitWindowSize, settings.circuitMinRequests);
+    breaker.outcomes.splice(0, Math.max(0, breaker.outcomes.length - windowSize));
+    if (!success) {
+      breaker.lastError = error?.message ?? null;
+    }
+    if (breaker.outcomes.length >= settings.circuitMinRequests &&
+      getFailureRate(breaker.outcomes) >= settings.circuitFailureRate) {
+      openBreaker(breaker);
+    }
+  }
+
+  notifyListeners();
+  return breaker.state;
+}
+
+export function resetBreaker(key) {
+  breakers.delete(key);
+  notifyListeners();
+}
+
+export function resetAllBreakers() {
+  breakers.clear();
+  notifyListeners();
+}
+
+// An open breaker whose cooldown has passed is reported as half-open, since the next request will probe.
+export function getBreakerStates(settings) {
+  return [...breakers.values()].map(breaker => {
+    const cooldownLeft = breaker.state === OPEN ?
+      Math.max(0, breaker.openedAt + settings.circuitCooldown - Date.now()) :
+      0;
+    return {
+      key: breaker.key,
+      state: breaker.state === OPEN && cooldownLeft === 0 ? HALF_OPEN : breaker.state,
+      failureRate: Math.round(getFailureRate(breaker.outcomes)),
+      requests: breaker.outcomes.length,
+      cooldownLeft,
+      lastError: breaker.lastError,
+    };
+  });
+}
+
+export function onBreakerChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function createCircuitOpenError(key, remaining) {
+  const detail = remaining > 0 ? `for another ${Math.ceil(remaining / 1000)}s` : 'until the probe request settles';
+  const error = new Error(`Circuit breaker for ${key} is open, failing fast ${detail}`);
+  error.name = 'CircuitOpenError';
+  error.breakerKey = key;
+  return error;
+}
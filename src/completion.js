@@ -0,0 +1,246 @@
+import { createWrappedResponse } from './response-utils.js';
+
+function partsToText(parts) {
+  if (!Array.isArray(parts)) {
+    return '';
+  }
+  return parts.map(part => (typeof part?.text === 'string' ? part.text : '')).join('');
+}
+
+function contentToText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  return partsToText(content);
+}
+
+// Tool calls are real output even when the text content is empty.
+function toolCallsToText(message) {
+  return Array.isArray(message?.tool_calls) && message.tool_calls.length > 0 ? JSON.stringify(message.tool_calls) : '';
+}
+
+function extractOpenAiCompletion(data) {
+  const [choice] = data.choices;
+  const message = choice?.message ?? choice?.delta;
+  return {
+    provider: 'openai',
+    text: contentToText(message?.content) + toolCallsToText(message) + (choice?.text ?? ''),
+    finishReason: choice?.finish_reason ?? null,
+  };
+}
+
+function extractGeminiCompletion(data) {
+  const candidate = data.candidates?.[0];
+  return {
+    provider: 'gemini',
+    text: partsToText(candidate?.content?.parts),
+    finishReason: candidate?.finishReason ?? data.promptFeedback?.blockReason ?? null,
+  };
+}
+
+function extractClaudeCompletion(data) {
+  if (data.type === 'content_block_delta') {
+    return { provider: 'claude', text: data.delta?.text ?? '', finishReason: null };
+  }
+  if (data.type === 'message_delta') {
+    return { provider: 'claude', text: '', finishReason: data.delta?.stop_reason ?? null };
+  }
+  return { provider: 'claude', text: partsToText(data.content), finishReason: data.stop_reason ?? null };
+}
+
+/**
+ * Reads the generated text and finish reason out of a single completion payload. Handles
+ * OpenAI-style `choices`, Claude `content` blocks and events, and Gemini `candidates`, for
+ * both whole JSON bodies and individual stream events. Returns null for unrecognised shapes.
+ */
+export function extractCompletion(data) {
+  if (!data || typeof data !== 'object') {
+    return null;
+  }
+  if (Array.isArray(data.choices)) {
+    return extractOpenAiCompletion(data);
+  }
+  if (Array.isArray(data.candidates) || data.promptFeedback) {
+    return extractGeminiCompletion(data);
+  }
+  if (data.type === 'message' || data.type === 'content_block_delta' || data.type === 'message_delta' ||
+    Array.isArray(data.content)) {
+    return extractClaudeCompletion(data);
+  }
+  return null;
+}
+
+/**
+ * Accumulates the completion carried by a server-sent event stream, one decoded chunk at a time.
+ */
+export function createStreamCompletionParser() {
+  const completion = { provider: null, text: '', finishReason: null, events: 0 };
+  let pending = '';
+
+  const handleLine = line => {
+    if (!line.startsWith('data:')) {
+      return;
+    }
+    const payload = line.slice('data:'.length).trim();
+    if (payload.length === 0 || payload === '[DONE]') {
+      return;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(payload);
+    } catch {
+      return;
+    }
+
+    const part = extractCompletion(data);
+    if (part) {
+      completion.provider = part.provider;
+      completion.text += part.text;
+      completion.finishReason = part.finishReason ?? completion.finishReason;
+      completion.events += 1;
+    }
+  };
+
+  return {
+    push(text) {
+      pending += text;
+      const lines = pending.split(/\r?\n/);
+      pending = lines.pop();
+      lines.forEach(handleLine);
+    },
+    finish() {
+      handleLine(pending);
+      pending = '';
+      return completion;
+    },
+    get completion() {
+      return completion;
+    },
+  };
+}
+
+export function hasCompletionChecks(policy) {
+  return Boolean(policy.retryOnEmptyResponse || policy.retryOnShortResponse || policy.retryOnFinishReason);
+}
+
+function parseFinishReasons(value) {
+  return String(value ?? '')
+    .split(/[\s,]+/)
+    .filter(reason => reason.length > 0)
+    .map(reason => reason.toLowerCase());
+}
+
+/**
+ * Returns a description of why a completion should be retried, or null if it passes every
+ * enabled check.
+ */
+export function evaluateCompletion(completion, policy) {
+  if (!completion) {
+    return null;
+  }
+
+  const { length } = completion.text.trim();
+
+  if (policy.retryOnEmptyResponse && length === 0) {
+    return 'empty response';
+  }
+
+  if (policy.retryOnShortResponse && length < policy.minResponseLength) {
+    return `short response (${length} < ${policy.minResponseLength} chars)`;
+  }
+
+  if (policy.retryOnFinishReason && completion.finishReason &&
+    parseFinishReasons(policy.retryFinishReasons).includes(String(completion.finishReason).toLowerCase())) {
+    return `finish reason "${completion.finishReason}"`;
+  }
+
+  return null;
+}
+
+export function createIncompleteResponseError(problem) {
+  const error = new Error(`Incomplete response: ${problem}`);
+  error.name = 'IncompleteResponseError';
+  error.problem = problem;
+  return error;
+}
+
+// The finish reason only comes with the last chunk, so checking it means holding back the whole stream.
+function getReleaseThreshold(policy) {
+  if (policy.retryOnFinishReason) {
+    return Infinity;
+  }
+  if (policy.retryOnShortResponse) {
+    return policy.minResponseLength;
+  }
+  return policy.retryOnEmptyResponse ? 1 : 0;
+}
+
+/**
+ * Holds back a streamed completion until enough text has arrived to pass the empty and
+ * minimum-length checks, or until it ends when the finish reason is checked, so a failing
+ * stream can still be retried before the caller sees any of it. If the stream ends while held
+ * back, every enabled check is applied and `problem` describes the failure. Once released, the
+ * rest of the stream flows through untouched.
+ */
+export async function gateStreamCompletion(response, policy, logger) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const parser = createStreamCompletionParser();
+  const threshold = getReleaseThreshold(policy);
+  const buffered = [];
+
+  let done = false;
+  while (!done && parser.completion.text.trim().length < threshold) {
+    const chunk = await reader.read();
+    ({ done } = chunk);
+    if (!done) {
+      buffered.push(chunk.value);
+      parser.push(decoder.decode(chunk.value, { stream: true }));
+    }
+  }
+
+  if (done) {
+    const completion = parser.finish();
+    const problem = evaluateCompletion(completion, policy);
+    logger.debug(`Stream completed while held back (${completion.text.length} chars, finish reason ` +
+      `${completion.finishReason ?? 'none'}).`);
+    if (problem) {
+      return { response: null, problem };
+    }
+  } else {
+    logger.debug(`Streamed completion reached ${threshold} chars, releasing stream to caller.`);
+  }
+
+  const stream = new ReadableStream({
+    start(controller) {
+      buffered.forEach(chunk => controller.enqueue(chunk));
+      if (done) {
+        controller.close();
+      }
+    },
+    async pull(controller) {
+      try {
+        const chunk = await reader.read();
+        if (chunk.done) {
+          const completion = parser.finish();
+          const problem = evaluateCompletion(completion, policy);
+          if (problem) {
+            logger.warn(`Streamed completion ended with ${problem} after it was delivered; it cannot be retried.`);
+          }
+          controller.close();
+        } else {
+          parser.push(decoder.decode(chunk.value, { stream: true }));
+          controller.enqueue(chunk.value);
+        }
+      } catch (err) {
+        controller.error(err);
+      }
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    },
+  });
+
+  return { response: createWrappedResponse(stream, response), problem: null };
+}
@@ -0,0 +1,220 @@
+import { readBodyCopy } from './response-utils.js';
+
+export const ERROR_ACTIONS = Object.freeze({
+  RETRY: 'retry',
+  GIVE_UP: 'give-up',
+  WAIT_LONGER: 'wait-longer',
+});
+
+const { RETRY, GIVE_UP, WAIT_LONGER } = ERROR_ACTIONS;
+
+const MIN_ERROR_LENGTH = 3;
+export const ERROR_BODY_TIMEOUT_MS = 5000;
+
+function lookup(table, code) {
+  return code === undefined || code === null ? undefined : table[String(code)];
+}
+
+const anthropicClassifier = {
+  name: 'Anthropic',
+  match: data => data.type === 'error' && typeof data.error?.type === 'string',
+  classify: data => ({
+    code: data.error.type,
+    message: data.error.message,
+    action: lookup({
+      'overloaded_error': WAIT_LONGER,
+      'rate_limit_error': WAIT_LONGER,
+      'api_error': RETRY,
+      'timeout_error': RETRY,
+      'authentication_error': GIVE_UP,
+      'permission_error': GIVE_UP,
+      'billing_error': GIVE_UP,
+      'invalid_request_error': GIVE_UP,
+      'not_found_error': GIVE_UP,
+      'request_too_large': GIVE_UP,
+    }, data.error.type),
+  }),
+};
+
+const googleClassifier = {
+  name: 'Google',
+  match: data => typeof data.error?.status === 'string' && /^[A-Z_]+$/.test(data.error.status),
+  classify: data => ({
+    code: data.error.status,
+    message: data.error.message,
+    action: lookup({
+      RESOURCE_EXHAUSTED: WAIT_LONGER,
+      UNAVAILABLE: RETRY,
+      INTERNAL: RETRY,
+      DEADLINE_EXCEEDED: RETRY,
+      ABORTED: RETRY,
+      INVALID_ARGUMENT: GIVE_UP,
+      FAILED_PRECONDITION: GIVE_UP,
+      PERMISSION_DENIED: GIVE_UP,
+      UNAUTHENTICATED: GIVE_UP,
+      NOT_FOUND: GIVE_UP,
+    }, data.error.status),
+  }),
+};
+
+const openRouterClassifier = {
+  name: 'OpenRouter',
+  match: data => typeof data.error?.code === 'number',
+  classify: data => ({
+    code: data.error.code,
+    message: data.error.metadata?.raw ? `${data.error.message} (${data.error.metadata.raw})` : data.error.message,
+    action: lookup({
+      400: GIVE_UP,
+      401: GIVE_UP,
+      402: GIVE_UP,
+      403: GIVE_UP,
+      408: RETRY,
+      429: WAIT_LONGER,
+      502: RETRY,
+      503: RETRY,
+    }, data.error.code),
+  }),
+};
+
+const mistralClassifier = {
+  name: 'Mistral',
+  match: data => data.object === 'error',
+  classify: data => ({
+    code: data.type ?? data.code,
+    message: data.message,
+    action: lookup({
+      'rate_limited': WAIT_LONGER,
+      'service_tier_capacity_exceeded': WAIT_LONGER,
+      'internal_server_error': RETRY,
+      'invalid_request_error': GIVE_UP,
+      'invalid_api_key': GIVE_UP,
+      unauthorized: GIVE_UP,
+    }, data.type ?? data.code),
+  }),
+};
+
+const koboldCppClassifier = {
+  name: 'KoboldCpp',
+  match: data => typeof data.detail?.type === 'string' || typeof data.detail?.msg === 'string',
+  classify: data => ({
+    code: data.detail.type,
+    message: data.detail.msg,
+    action: lookup({
+      'service_unavailable': WAIT_LONGER,
+      'bad_input': GIVE_UP,
+      'not_implemented': GIVE_UP,
+    }, data.detail.type),
+  }),
+};
+
+const openAiClassifier = {
+  name: 'OpenAI',
+  match: data => typeof data.error?.type === 'string' || typeof data.error?.code === 'string',
+  classify: data => {
+    const table = {
+      'insufficient_quota': GIVE_UP,
+      'invalid_api_key': GIVE_UP,
+      'model_not_found': GIVE_UP,
+      'context_length_exceeded': GIVE_UP,
+      'invalid_request_error': GIVE_UP,
+      'rate_limit_exceeded': WAIT_LONGER,
+      requests: WAIT_LONGER,
+      tokens: WAIT_LONGER,
+      'engine_overloaded': WAIT_LONGER,
+      'server_error': RETRY,
+    };
+    return {
+      code: data.error.code ?? data.error.type,
+      message: data.error.message,
+      action: lookup(table, data.error.code) ?? lookup(table, data.error.type),
+    };
+  },
+};
+
+// The original heuristic: any `error` string, or an `error.message`, longer than three characters.
+const genericClassifier = {
+  name: 'Generic',
+  match: data => data.error !== undefined && data.error !== null,
+  classify: data => {
+    let message = null;
+    if (typeof data.error === 'string') {
+      message = data.error;
+    } else if (typeof data.error === 'object') {
+      message = typeof data.error.message === 'string' ? data.error.message : JSON.stringify(data.error);
+    }
+    return message && message.length > MIN_ERROR_LENGTH ? { code: null, message, action: RETRY } : null;
+  },
+};
+
+const classifiers = [
+  anthropicClassifier,
+  googleClassifier,
+  openRouterClassifier,
+  mistralClassifier,
+  koboldCppClassifier,
+  openAiClassifier,
+];
+
+/**
+ * Adds a classifier ahead of the built-in ones. A classifier is `{ name, match(data), classify(data) }`
+ * where `classify` returns `{ code, message, action }` with an action from ERROR_ACTIONS, or null.
+ */
+export function registerErrorClassifier(classifier) {
+  classifiers.unshift(classifier);
+  return () => {
+    const index = classifiers.indexOf(classifier);
+    if (index !== -1) {
+      classifiers.splice(index, 1);
+    }
+  };
+}
+
+/**
+ * Runs an error body through the provider classifiers and returns the first match as
+ * `{ provider, code, message, action }`, or null if the body does not look like an error.
+ * Known providers with an unrecognised code fall back to a plain retry.
+ */
+export function classifyErrorBody(body) {
+  const data = Array.isArray(body) ? body[0] : body;
+  if (!data || typeof data !== 'object') {
+    return null;
+  }
+
+  for (const classifier of [...classifiers, genericClassifier]) {
+    if (classifier.match(data)) {
+      const result = classifier.classify(data);
+      if (result) {
+        return {
+          provider: classifier.name,
+          code: result.code ?? null,
+          message: String(result.message ?? 'Unknown error'),
+          action: result.action ?? RETRY,
+        };
+      }
+    }
+  }
+
+  return null;
+}
+
+export async function classifyResponseBody(response, logger) {
+  const contentType = response.headers.get('content-type');
+  if (!contentType || !contentType.includes('application/json')) {
+    return null;
+  }
+
+  try {
+    return classifyErrorBody(await readBodyCopy(response, 'json', ERROR_BODY_TIMEOUT_MS));
+  } catch (parseError) {
+    if (parseError.name === 'TimeoutError') {
+      throw parseError;
+    }
+    logger.warn(`Could not read JSON error body for classification: ${parseError.message}`);
+    return null;
+  }
+}
+
+export function describeClassification(classification) {
+  const code = classification.code !== null ? ` ${classification.code}` : '';
+  return `${classification.provider}${code} (${classification.action}): ${classification.message}`;
+}
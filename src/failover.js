@@ -0,0 +1,70 @@
+import { readJsonBody } from './request-body.js';
+
+export function parseFailoverTarget(line) {
+  const [url = '', model = ''] = line.split('|').map(part => part.trim());
+  return url || model ? { url: url || null, model: model || null } : null;
+}
+
+export function validateFailoverTargets(lines) {
+  const invalid = lines.filter(line => {
+    const target = parseFailoverTarget(line);
+    if (!target) {
+      return true;
+    }
+    if (!target.url) {
+      return false;
+    }
+    // The whole request URL is replaced, so a target must be a complete http(s) address.
+    try {
+      return !['http:', 'https:'].includes(new URL(target.url).protocol);
+    } catch {
+      return true;
+    }
+  });
+  return invalid.length > 0 ?
+    `Invalid failover targets (URLs must be absolute http or https): ${invalid.slice(0, 3).join(', ')}` :
+    null;
+}
+
+export function describeFailoverTarget(target) {
+  if (!target) {
+    return 'primary';
+  }
+  return [target.url, target.model && `model ${target.model}`].filter(Boolean).join(', ');
+}
+
+/**
+ * Picks the target for a zero-based attempt: the first `failoverAfter` attempts go to the
+ * primary, each following block of `failoverAfter` attempts to the next target in the chain,
+ * and the last target keeps any attempts that remain. Returns null for the primary.
+ */
+export function getFailoverTarget(policy, attempt) {
+  const targets = (Array.isArray(policy.failoverTargets) ? policy.failoverTargets : [])
+    .map(parseFailoverTarget)
+    .filter(Boolean);
+  if (targets.length === 0) {
+    return null;
+  }
+
+  const blockSize = Math.max(1, policy.failoverAfter);
+  const index = Math.min(Math.floor(attempt / blockSize), targets.length);
+  return index === 0 ? null : { index, ...targets[index - 1] };
+}
+
+export function applyFailoverTarget(target, baseUrl, bodyContent, logger) {
+  if (!target) {
+    return { url: baseUrl, body: bodyContent };
+  }
+
+  let body = bodyContent;
+  if (target.model) {
+    const data = readJsonBody(bodyContent);
+    if (data) {
+      body = JSON.stringify({ ...data, model: target.model });
+    } else {
+      logger.warn(`Request body is not JSON, cannot switch model to ${target.model}.`);
+    }
+  }
+
+  return { url: target.url ?? baseUrl, body };
+}
@@ -1,6 +1,74 @@
-import { showRetryToast, showErrorNotification } from './toast.js';
+import {
+  showErrorNotification,
+  showStreamTimeoutNotification,
+  showFailoverToast,
+} from './toast.js';
+import { compileUrlPattern } from './url-matcher.js';
+import { STATUS_ACTIONS, classifyStatus, createStatusError } from './status-codes.js';
+import { findMatchingProfile, resolveRetryPolicy } from './profiles.js';
+import {
+  awaitResponseHeaders,
+  getAttemptLimits,
+  hasBodyLimits,
+  watchResponseBody,
+} from './timeouts.js';
+import { isEventStream, readBodyCopy } from './response-utils.js';
+import { applyFailoverTarget, describeFailoverTarget, getFailoverTarget } from './failover.js';
+import { mutateRequestBody } from './body-mutation.js';
+import { computeBackoffDelay } from './backoff.js';
+import { getServerRetryDelay } from './rate-limit-headers.js';
+import { acquireSlot, acquireToken, getLimiterKey } from './rate-limiter.js';
+import { createRetryToast } from './retry-toast.js';
+import { fetchHedged, getHedgeDelay } from './hedging.js';
+import { createOfflineError, isOffline, waitForOnline } from './network.js';
+import { applyIdempotencyKey, createIdempotencyKey, isRetryableMethod } from './request-methods.js';
+import { createRetryBudgetError, recordBudgetRequest, spendRetryBudget } from './retry-budget.js';
+import {
+  ERROR_ACTIONS,
+  ERROR_BODY_TIMEOUT_MS,
+  classifyErrorBody,
+  classifyResponseBody,
+  describeClassification,
+} from './error-classifiers.js';
+import {
+  ACTIVITY_OUTCOMES,
+  beginAttempt,
+  endAttempt,
+  finishActivity,
+  recordRetryDelay,
+  startActivity,
+} from './activity.js';
+import { recordRequestStats } from './stats.js';
+import {
+  BREAKER_STATES,
+  acquireBreaker,
+  createCircuitOpenError,
+  getBreakerKey,
+  recordBreakerResult,
+} from './circuit-breaker.js';
+import {
+  createIncompleteResponseError,
+  evaluateCompletion,
+  extractCompletion,
+  gateStreamCompletion,
+  hasCompletionChecks,
+} from './completion.js';
+import {
+  FETCH_RETRY_EVENTS,
+  consultShouldRetry,
+  emitFetchRetryEvent,
+  runBeforeAttemptHooks,
+} from './api.js';
+import {
+  RULE_ACTIONS,
+  createResponseRuleError,
+  describeRule,
+  evaluateResponseRules,
+  hasResponseRules,
+} from './response-rules.js';
 
 let cachedPatterns = null;
+let nextRequestId = 1;
 let cachedPatternsVersion = -1;
 
 function getCachedPatterns(urlPatterns, settingsVersion, logger) {
@@ -8,24 +76,9 @@ function getCachedPatterns(urlPatterns, settingsVersion, logger) {
     return cachedPatterns;
   }
 
-  const compiledPatterns = [];
-  for (const pattern of urlPatterns) {
-    try {
-      if (pattern.length > 500) {
-        logger.warn(`Pattern too long (${pattern.length} chars), skipping: ${pattern.substring(0, 50)}...`);
-        continue;
-      }
-
-      if (/(\+\*|\*\+|\{\d{3,}\}|\+{3,}|\*{3,})/.test(pattern)) {
-        logger.warn(`Pattern contains potentially dangerous repetition quantifiers, skipping: ${pattern}`);
-        continue;
-      }
-
-      compiledPatterns.push(new RegExp(pattern));
-    } catch (err) {
-      logger.warn(`Invalid regex pattern "${pattern}": ${err.message}`);
-    }
-  }
+  const compiledPatterns = urlPatterns
+    .map(pattern => compileUrlPattern(pattern, logger))
+    .filter(regex => regex !== null);
 
   cachedPatterns = compiledPatterns;
   cachedPatternsVersion = settingsVersion;
@@ -34,7 +87,7 @@ function getCachedPatterns(urlPatterns, settingsVersion, logger) {
   return compiledPatterns;
 }
 
-function shouldApplyRetryLogic(url, settings, logger) {
+function matchesUrlFilter(url, settings, logger) {
   const { urlPatterns, urlFilterMode, _settingsVersion = 0 } = settings;
 
   if (!Array.isArray(urlPatterns) || urlPatterns.length === 0) {
@@ -73,6 +126,26 @@ function shouldApplyRetryLogic(url, settings, logger) {
   return true;
 }
 
+/**
+ * A profile can opt a URL in that the include patterns leave out, but a URL matched by the
+ * exclude patterns is never intercepted, whatever profile it matches.
+ */
+export function shouldApplyRetryLogic(url, settings, logger) {
+  if (matchesUrlFilter(url, settings, logger)) {
+    return true;
+  }
+  if (settings.urlFilterMode === 'exclude') {
+    return false;
+  }
+
+  const profile = findMatchingProfile(url, settings, logger);
+  if (profile) {
+    logger.debug(`URL filter: ${url} matches retry profile "${profile.name}", applying retry logic.`);
+    return true;
+  }
+  return false;
+}
+
 async function prepareRequestData(args) {
   let bodyContent = null;
   let baseUrl;
@@ -134,279 +207,656 @@ async function prepareRequestData(args) {
   return { baseUrl, baseInit, bodyContent };
 }
 
-function calculateRetryDelay(error, response, attempt, settings, logger) {
-  logger.debug(`Calculating retry delay for attempt ${attempt}.`);
-  const MAX_DELAY = 30000;
-  let delay = 0;
-
-  if (response && response.headers.has('Retry-After')) {
-    const retryAfter = response.headers.get('Retry-After');
-    const seconds = parseInt(retryAfter, 10);
-    if (!isNaN(seconds)) {
-      delay = Math.max(delay, Math.min(seconds * 1000, MAX_DELAY));
-      logger.debug(`Retry-After header found: ${seconds}s, adjusted delay: ${delay}ms`);
+// A matching pass rule accepts the response without the built-in body checks.
+function applyRuleMatch({ rule, value }, logger) {
+  if (rule.action === RULE_ACTIONS.PASS) {
+    logger.debug(`Response rule matched, passing the response through: ${describeRule(rule)}`);
+    return null;
+  }
+  const error = createResponseRuleError(rule, value);
+  logger.warn(error.message);
+  return error;
+}
+
+async function inspectJsonBody(response, settings, policy, logger) {
+  const contentType = response.headers.get('content-type');
+  const checkCompletion = hasCompletionChecks(policy);
+  const checkRules = hasResponseRules(settings);
+  if (!(settings.checkResponseErrorField || checkCompletion || checkRules) ||
+    !contentType?.includes('application/json')) {
+    return null;
+  }
+
+  let data;
+  try {
+    data = await response.clone().json();
+  } catch (parseError) {
+    if (parseError.name === 'TimeoutError') {
+      throw parseError;
     }
+    logger.warn(`Could not parse JSON response for body checks: ${parseError.message}`);
+    return null;
   }
 
-  if (response && response.status === 429) {
-    delay = Math.max(delay, settings.rateLimitDelay * Math.pow(1.5, attempt));
-    logger.debug(`429 error detected, adjusted delay: ${delay}ms`);
+  const ruleMatch = checkRules ? evaluateResponseRules(data, settings.responseRules) : null;
+  if (ruleMatch) {
+    return applyRuleMatch(ruleMatch, logger);
   }
 
-  delay = Math.max(delay, settings.retryDelay * Math.pow(1.2, attempt));
-  delay = Math.min(delay, MAX_DELAY);
+  if (settings.checkResponseErrorField) {
+    logger.debug('Checking for error field in response body.');
+    const classification = classifyErrorBody(data);
+    if (classification) {
+      logger.warn(`Response body contains an error: ${describeClassification(classification)}`);
+      const error = new Error(`Response error: ${classification.message}`);
+      error.classification = classification;
+      return error;
+    }
+  }
 
-  const jitter = delay * 0.1 * (Math.random() * 2 - 1);
-  delay = Math.max(0, delay + jitter);
+  if (checkCompletion) {
+    const completion = extractCompletion(data);
+    const problem = evaluateCompletion(completion, policy);
+    if (problem) {
+      return createIncompleteResponseError(problem);
+    }
+    logger.debug(`Completion checks passed (${completion ? `${completion.provider} format` : 'unrecognised format'}).`);
+  }
 
-  logger.debug(`Final delay after exponential backoff with jitter: ${delay}ms`);
+  return null;
+}
 
+export function calculateRetryDelay(error, response, attempt, settings, logger, previousDelay) {
+  logger.debug(`Calculating retry delay for attempt ${attempt}.`);
+  const rateLimited = response?.status === 429 || error?.classification?.action === ERROR_ACTIONS.WAIT_LONGER;
+
+  // The server knows best how long to wait; the backoff covers responses that do not say, and a
+  // wait of zero or less, which would otherwise retry immediately without any backoff.
+  const serverDelay = response ? getServerRetryDelay(response.headers, rateLimited) : null;
+  if (serverDelay?.delay <= 0) {
+    logger.debug(`Ignoring ${serverDelay.source} header asking for ${serverDelay.delay}ms, using the backoff.`);
+  } else if (serverDelay) {
+    const delay = Math.min(serverDelay.delay, settings.maxServerDelay);
+    logger.debug(`${serverDelay.source} header asks for ${serverDelay.delay}ms, waiting ${delay}ms.`);
+    return delay;
+  }
+
+  const base = rateLimited ? Math.max(settings.rateLimitDelay, settings.retryDelay) : settings.retryDelay;
+  const delay = computeBackoffDelay(base, attempt, settings, previousDelay);
+  logger.debug(`${settings.backoffStrategy} backoff from ${rateLimited ? 'rate-limit' : 'base'} delay ${base}ms: ` +
+    `${delay}ms`);
   return delay;
 }
 
-async function handleRetry(error, response, attempt, settings, logger) {
-  const nextAttempt = attempt + 1;
-  showRetryToast(nextAttempt, settings.maxRetries, error);
+// The part of every API event and hook context that identifies the request.
+function describeRequest(request) {
+  return { requestId: request.id, url: request.url, method: request.method, profile: request.profile };
+}
 
-  const delay = calculateRetryDelay(error, response, attempt, settings, logger);
-  logger.info(`Waiting ${delay}ms before retry...`);
+function getRetryToast(request, logger) {
+  if (!request.retryToast) {
+    Object.assign(request, {
+      retryToast: createRetryToast(() => {
+        logger.info('Giving up on the request from the retry notification.');
+        request.controller.abort();
+      }),
+    });
+  }
+  return request.retryToast;
+}
+
+/**
+ * Waits out the retry delay on the request's toast. "Retry now" and aborts end the wait
+ * early; an abort is then picked up by the retry loop.
+ */
+function waitForRetry(delay, request, countdown, logger) {
+  // Created up front so the caller can update the toast even when the wait is cut short.
+  const toast = getRetryToast(request, logger);
+  return new Promise(resolve => {
+    if (request.signal.aborted) {
+      resolve();
+      return;
+    }
+    let timer = null;
+    const done = () => {
+      clearTimeout(timer);
+      request.signal.removeEventListener('abort', done);
+      resolve();
+    };
+    timer = setTimeout(done, delay);
+    request.signal.addEventListener('abort', done, { once: true });
+    toast.showCountdown({
+      ...countdown,
+      delay,
+      onRetryNow: () => {
+        logger.info('Retrying now from the retry notification, skipping the rest of the delay.');
+        done();
+      },
+    });
+  });
+}
 
-  await new Promise(resolve => setTimeout(resolve, delay));
+/**
+ * Pauses the request until the browser is back online, for at most what is left of the
+ * policy's maximum offline wait. Resolves false once that is used up.
+ */
+async function waitForNetwork(request, policy, logger) {
+  const maxWait = Math.max(0, policy.maxOfflineWait - request.offlineWaited);
+  logger.warn(`Network is offline, pausing retries for up to ${maxWait}ms.`);
+  const skip = new AbortController();
+  getRetryToast(request, logger).showOffline({
+    maxWait,
+    onRetryNow: () => {
+      logger.info('Retrying now from the retry notification without waiting for the network.');
+      skip.abort();
+    },
+  });
+
+  const pausedAt = Date.now();
+  const resumed = await waitForOnline(maxWait, [request.signal, skip.signal]);
+  Object.assign(request, { offlineWaited: request.offlineWaited + Date.now() - pausedAt });
+  if (resumed) {
+    logger.info(`Resuming after ${Date.now() - pausedAt}ms offline.`);
+  }
+  return resumed;
+}
+
+async function handleRetry(error, response, attempt, settings, logger, request) {
+  const nextAttempt = attempt + 1;
+  const delay = calculateRetryDelay(error, response, attempt, settings, logger, request.lastDelay);
+  Object.assign(request, { lastDelay: delay });
+  logger.info(`Waiting ${delay}ms before retry...`);
+  recordRetryDelay(request.activity, delay);
+  emitFetchRetryEvent(FETCH_RETRY_EVENTS.RETRY_SCHEDULED, {
+    ...describeRequest(request),
+    attempt: nextAttempt + 1,
+    maxRetries: settings.maxRetries,
+    delay,
+    error: error?.message ?? null,
+    status: response?.status ?? null,
+  });
+
+  await waitForRetry(delay, request, {
+    retryNumber: nextAttempt,
+    maxRetries: settings.maxRetries,
+    reason: error?.message || 'Unknown error',
+  }, logger);
+  request.retryToast.showAttempt(nextAttempt + 1, settings.maxRetries + 1);
   return nextAttempt;
 }
 
-export function createRetryableFetch(originalFetch, settings, logger) {
-  return async function (...args) {
-    if (!settings || !settings.enabled) {
-      logger.debug('Fetch Retry is disabled or settings unavailable. Bypassing.');
-      return originalFetch.apply(this, args);
-    }
+async function readErrorSnippet(response) {
+  try {
+    return await readBodyCopy(response, 'text', ERROR_BODY_TIMEOUT_MS);
+  } catch {
+    return null;
+  }
+}
 
-    const requestUrl = args[0] instanceof Request ? args[0].url : String(args[0]);
-    logger.debug('Intercepted a fetch request.', { url: requestUrl, attempt: 0 });
+// Exposes which attempt and failover target produced the response, e.g. `response.fetchRetry.target`.
+function tagResponse(response, attempt, target, policy) {
+  Object.defineProperty(response, 'fetchRetry', {
+    value: Object.freeze({
+      attempts: attempt + 1,
+      profile: policy.profileName,
+      target: describeFailoverTarget(target),
+      url: target?.url ?? null,
+      model: target?.model ?? null,
+    }),
+  });
+  return response;
+}
 
-    if (!shouldApplyRetryLogic(requestUrl, settings, logger)) {
-      logger.debug(`URL ${requestUrl} does not match filter patterns. Bypassing retry logic.`);
-      return originalFetch.apply(this, args);
-    }
+// Sends one attempt, hedged with parallel copies when the policy asks for it.
+function sendAttempt(originalFetch, request, [url, init], policy, logger) {
+  if (!policy.enableHedging) {
+    return originalFetch.apply(request.thisArg, [url, init]);
+  }
+  return fetchHedged(signal => originalFetch.apply(request.thisArg, [url, { ...init, signal }]), {
+    signal: init.signal,
+    delay: getHedgeDelay(request.url, policy),
+    maxHedges: policy.maxHedges,
+    url,
+    logger,
+  });
+}
 
-    const originalSignal = args[0] instanceof Request ? args[0].signal : (args[1]?.signal);
-    if (originalSignal?.aborted) {
-      logger.debug('Original signal already aborted. Bypassing.');
-      return originalFetch.apply(this, args);
+/**
+ * Lets `shouldRetry` hooks overrule the built-in decision for a failed attempt. The retry
+ * limit still applies to a forced retry.
+ */
+async function decideRetry(retryable, failure, request, policy, logger) {
+  const { error, response = null, attempt } = failure;
+  const decision = await consultShouldRetry(retryable, {
+    ...describeRequest(request),
+    attempt: attempt + 1,
+    maxRetries: policy.maxRetries,
+    error,
+    status: response?.status ?? null,
+    headers: response?.headers ?? null,
+    classification: error.classification ?? null,
+  });
+  if (decision !== retryable) {
+    logger.info(`A shouldRetry hook ${decision ? 'forced a retry' : 'declined to retry'} after: ${error.message}`);
+  }
+  return decision;
+}
+
+/**
+ * Checks the attempt limit and then the global retry budget before a retry. An error that
+ * was refused a retry by the budget is marked so that it is reported as such.
+ */
+export function mayRetry(error, attempt, policy, logger) {
+  if (attempt >= policy.maxRetries) {
+    logger.error(`Max retries reached for ${error.message}.`);
+    return false;
+  }
+  if (policy.enableRetryBudget && !spendRetryBudget(policy)) {
+    logger.warn(`Retry budget exhausted, not retrying ${error.message}.`);
+    Object.assign(error, { retryBudgetExhausted: true });
+    return false;
+  }
+  return true;
+}
+
+async function fetchWithRetries(originalFetch, request, policy, settings, logger) {
+  const { args, url: requestUrl, signal: originalSignal, activity } = request;
+  let attempt = 0;
+  let lastError;
+  let lastResponse;
+  let currentTarget = null;
+
+  const { baseUrl, baseInit: preparedInit, bodyContent } = await prepareRequestData(args);
+  const baseInit = request.idempotencyKey ? applyIdempotencyKey(preparedInit, request.idempotencyKey) : preparedInit;
+
+  let currentController = null;
+  const userAbortHandler = () => {
+    if (currentController) {
+      logger.debug('User aborted signal received.');
+      currentController.abort(new Error('User aborted'));
     }
+  };
 
-    let attempt = 0;
-    let lastError;
-    let lastResponse;
+  if (originalSignal) {
+    originalSignal.addEventListener('abort', userAbortHandler);
+  }
+
+  try {
+    while (attempt <= policy.maxRetries) {
+      logger.debug(`Starting fetch attempt ${attempt + 1}/${policy.maxRetries + 1}`);
+      if (originalSignal?.aborted) {
+        logger.info('Request aborted by user during retry loop. Returning abort error.');
+        const abortError = new DOMException('Request aborted by user', 'AbortError');
+        throw abortError;
+      }
 
-    const { baseUrl, baseInit, bodyContent } = await prepareRequestData(args);
+      const controller = new AbortController();
+      currentController = controller;
+      const { signal } = controller;
 
-    let currentController = null;
-    const userAbortHandler = () => {
-      if (currentController) {
-        logger.debug('User aborted signal received.');
-        currentController.abort(new Error('User aborted'));
+      // Check again for race condition - user might have aborted during setup
+      if (originalSignal?.aborted) {
+        logger.info('Request aborted by user during controller setup.');
+        const abortError = new DOMException('Request aborted by user', 'AbortError');
+        throw abortError;
       }
-    };
 
-    if (originalSignal) {
-      originalSignal.addEventListener('abort', userAbortHandler);
-    }
+      const target = getFailoverTarget(policy, attempt);
+      if ((target?.index ?? 0) !== (currentTarget?.index ?? 0)) {
+        logger.warn(`Failing over from ${describeFailoverTarget(currentTarget)} to ` +
+          `${describeFailoverTarget(target)}.`);
+        showFailoverToast(currentTarget, target);
+      }
+      currentTarget = target;
 
-    try {
-      while (attempt <= settings.maxRetries) {
-        logger.debug(`Starting fetch attempt ${attempt + 1}/${settings.maxRetries + 1}`);
-        if (originalSignal?.aborted) {
-          logger.info('Request aborted by user during retry loop. Returning abort error.');
-          const abortError = new DOMException('Request aborted by user', 'AbortError');
-          throw abortError;
-        }
+      const { url: currentUrl, body: targetBody } = applyFailoverTarget(target, baseUrl, bodyContent, logger);
+      const { body: currentBody, changes } = mutateRequestBody(targetBody, attempt, policy);
+      if (changes.length > 0) {
+        logger.info(`Changed request body for attempt ${attempt + 1}: ${changes.join(', ')}.`);
+      }
+      const attemptInit = { ...baseInit };
+      if (currentBody !== null) {
+        attemptInit.body = currentBody;
+      }
 
-        const controller = new AbortController();
-        currentController = controller;
-        const { signal } = controller;
-        let timeoutId;
+      const attemptContext = {
+        ...describeRequest(request),
+        url: currentUrl,
+        attempt: attempt + 1,
+        maxRetries: policy.maxRetries,
+        target: describeFailoverTarget(target),
+      };
+      // Hooks may replace the init, but the signal stays ours so timeouts and user aborts keep working.
+      const currentInit = { ...(await runBeforeAttemptHooks(attemptInit, attemptContext)), signal };
+      emitFetchRetryEvent(FETCH_RETRY_EVENTS.ATTEMPT_START, attemptContext);
+
+      logger.debug(`Created request for attempt ${attempt + 1} to ${describeFailoverTarget(target)} ` +
+        `with ${currentBody ? 'body' : 'no body'}`);
+      if (request.limiterKey) {
+        await acquireToken(request.limiterKey, policy, originalSignal);
+      }
+      const attemptRecord = beginAttempt(activity, describeFailoverTarget(target));
 
-        // Check again for race condition - user might have aborted during setup
-        if (originalSignal?.aborted) {
-          logger.info('Request aborted by user during controller setup.');
-          const abortError = new DOMException('Request aborted by user', 'AbortError');
-          throw abortError;
-        }
+      try {
+        logger.debug('Executing original fetch...');
+        const attemptLimits = getAttemptLimits(policy);
+        const fetchPromise = sendAttempt(originalFetch, request, [currentUrl, currentInit], policy, logger);
 
-        const currentUrl = baseUrl;
-        const currentInit = { ...baseInit, signal };
+        let result = await awaitResponseHeaders(fetchPromise, attemptLimits, controller);
 
-        if (bodyContent !== null) {
-          currentInit.body = bodyContent;
-        }
+        logger.debug('Fetch promise resolved.');
 
-        logger.debug(`Created request for attempt ${attempt + 1} with ${bodyContent ? 'body' : 'no body'}`);
-
-        try {
-          logger.debug('Executing original fetch...');
-          const fetchPromise = originalFetch.apply(this, [currentUrl, currentInit]);
-
-          let timeoutPromise = null;
-          if (settings.enableThinkingTimeout) {
-            timeoutPromise = new Promise((_, reject) => {
-              timeoutId = setTimeout(() => {
-                const error = new Error('Thinking timeout reached');
-                error.name = 'TimeoutError';
-                controller.abort();
-                reject(error);
-                logger.warn('Fetch request timed out.');
-              }, settings.thinkingTimeout);
+        if (result.ok) {
+          logger.debug(`Fetch successful (status ${result.status}).`);
+
+          const bodyLimits = isEventStream(result) ? attemptLimits : { ...attemptLimits, idleTimeout: 0 };
+          if (result.body && hasBodyLimits(bodyLimits)) {
+            result = await watchResponseBody(result, {
+              limits: bodyLimits,
+              controller,
+              signal: originalSignal,
+              logger,
+              onTimeout: timeoutError => showStreamTimeoutNotification(timeoutError, settings),
+              isDelivered: () => request.bodyDelivered,
             });
           }
 
-          const result = timeoutPromise ?
-            await Promise.race([fetchPromise, timeoutPromise]) :
-            await fetchPromise;
-
-          logger.debug('Fetch promise resolved or timed out.');
+          let bodyError = await inspectJsonBody(result, settings, policy, logger);
 
-          if (result.ok) {
-            if (timeoutId) {
-              clearTimeout(timeoutId);
-            }
-            logger.debug(`Fetch successful (status ${result.status}).`);
-
-            // Check if response body contains an error field (if enabled)
-            let hasResponseError = false;
-            if (settings.checkResponseErrorField) {
-              logger.debug('Checking for error field in response body.');
-              try {
-                const clonedResponse = result.clone();
-                const contentType = clonedResponse.headers.get('content-type');
-
-                if (contentType && contentType.includes('application/json')) {
-                  const data = await clonedResponse.json();
-                  const MIN_ERROR_LENGTH = 3;
-
-                  let errorMessage = null;
-
-                  if (data && data.error !== undefined && data.error !== null) {
-                    if (typeof data.error === 'string' && data.error.length > MIN_ERROR_LENGTH) {
-                      errorMessage = data.error;
-                    } else if (typeof data.error === 'object') {
-                      if (data.error.message && typeof data.error.message === 'string') {
-                        errorMessage = data.error.message;
-                      } else {
-                        errorMessage = JSON.stringify(data.error);
-                      }
-                    }
-                  }
-
-                  if (errorMessage && errorMessage.length > MIN_ERROR_LENGTH) {
-                    logger.warn(`Response body contains error field: ${errorMessage}`);
-                    lastResponse = result.clone();
-                    lastError = new Error(`Response error: ${errorMessage}`);
-                    hasResponseError = true;
-                  }
-                }
-              } catch (parseError) {
-                logger.warn(`Could not parse JSON response for error checking: ${parseError.message}`);
-              }
+          if (!bodyError && isEventStream(result) && hasCompletionChecks(policy)) {
+            const gated = await gateStreamCompletion(result, policy, logger);
+            if (gated.problem) {
+              bodyError = createIncompleteResponseError(gated.problem);
+            } else {
+              result = gated.response;
             }
+          }
 
-            if (hasResponseError) {
-              if (attempt < settings.maxRetries) {
-                attempt = await handleRetry(lastError, lastResponse, attempt, settings, logger);
-                continue;
-              } else {
-                logger.error(`Max retries reached for response with error field.`);
-                break;
-              }
+          if (bodyError) {
+            logger.warn(`${bodyError.message}, attempt ${attempt + 1}/${policy.maxRetries + 1}`);
+            endAttempt(activity, attemptRecord, {
+              status: result.status,
+              error: bodyError.message,
+              snippet: bodyError.classification?.message,
+            });
+            lastResponse = result;
+            lastError = bodyError;
+            const giveUp = bodyError.retryable === false || bodyError.classification?.action === ERROR_ACTIONS.GIVE_UP;
+            const retry = await decideRetry(!giveUp, { error: bodyError, response: result, attempt }, request,
+              policy, logger);
+            if (!retry) {
+              logger.warn('Response error is not retryable, failing immediately.');
+              // Only a give-up classification is neutral to the circuit breaker; a hook veto is not.
+              bodyError.retryable = !giveUp;
+              break;
             }
-
-            return result;
+            if (mayRetry(bodyError, attempt, policy, logger)) {
+              attempt = await handleRetry(lastError, lastResponse, attempt, policy, logger, request);
+              continue;
+            }
+            break;
           }
 
+          endAttempt(activity, attemptRecord, { status: result.status });
+          return tagResponse(result, attempt, currentTarget, policy);
+        }
+
         lastResponse = result.clone();
 
-        if (result.status === 429) {
-          const url = args[0] instanceof Request ? args[0].url : String(args[0]);
-          logger.warn(`Rate limited (429) for ${url}, attempt ${attempt + 1}/${settings.maxRetries + 1}`);
-          if (attempt < settings.maxRetries) {
-            attempt = await handleRetry(new Error(`Rate limited (429): ${result.statusText}`), result, attempt, settings, logger);
-            continue;
-          } else {
-            logger.error(`Max retries reached for 429 error on ${url}.`);
-            lastError = new Error(`Rate limited (429): ${result.statusText}`);
-            break;
-          }
-        } else if (result.status >= 500) {
-          logger.warn(`Server error (${result.status}), attempt ${attempt + 1}/${settings.maxRetries + 1}`);
-          if (attempt < settings.maxRetries) {
-            attempt = await handleRetry(new Error(`Server error (${result.status}): ${result.statusText}`), result, attempt, settings, logger);
-            continue;
-          } else {
-            lastError = new Error(`Server error (${result.status}): ${result.statusText}`);
-            break;
-          }
-        } else if (result.status >= 400) {
-          logger.warn(`Client error (${result.status}), attempt ${attempt + 1}/${settings.maxRetries + 1}`);
-          if (attempt < settings.maxRetries) {
-            attempt = await handleRetry(new Error(`Client error (${result.status}): ${result.statusText}`), result, attempt, settings, logger);
-            continue;
-          } else {
-            lastError = new Error(`Client error (${result.status}): ${result.statusText}`);
-            break;
-          }
+        const statusAction = classifyStatus(result.status, settings);
+        const statusError = createStatusError(result);
+
+        if (statusAction === STATUS_ACTIONS.PASS) {
+          logger.info(`${statusError.message} is configured to pass through, returning response to caller.`);
+          endAttempt(activity, attemptRecord, { status: result.status, error: statusError.message });
+          return tagResponse(result, attempt, currentTarget, policy);
         }
 
-        logger.error(`Unexpected HTTP status: ${result.status}. Throwing error.`);
-        throw new Error(`HTTP ${result.status}: ${result.statusText}`);
-        } catch (err) {
-          lastError = err;
-          logger.error('Caught error during fetch attempt:', err);
-          logger.debug('Full error object for debugging:', JSON.stringify(err, Object.getOwnPropertyNames(err)));
-
-          let shouldRetry = false;
-          let retryReason = '';
-
-          if (err.name === 'TimeoutError') {
-            retryReason = `AI thinking timeout (${settings.thinkingTimeout}ms)`;
-            shouldRetry = true;
-          } else if (err.name === 'AbortError') {
-            if (originalSignal?.aborted || err.message === 'User aborted' || err.message === 'Request aborted by user') {
-              logger.info('Request aborted by user. Not retrying, propagating abort.');
-              throw err;
-            }
-            retryReason = `Request aborted (${err.message})`;
-            shouldRetry = true;
-          } else {
-            logger.warn(`Non-specific error: ${err.message}, checking if retry is possible. Attempt ${attempt + 1}/${settings.maxRetries + 1}`);
-            shouldRetry = true;
-          }
+        const classification = settings.classifyErrorResponses ? await classifyResponseBody(result, logger) : null;
+        if (classification) {
+          statusError.classification = classification;
+          logger.warn(`${statusError.message} classified as ${describeClassification(classification)}`);
+        }
+        endAttempt(activity, attemptRecord, {
+          status: result.status,
+          error: statusError.message,
+          snippet: classification?.message ?? (activity ? await readErrorSnippet(result) : null),
+        });
+
+        // A classification can stop retries of a retryable status, but never makes a fail-fast status
+        // retryable; only a shouldRetry hook can.
+        const failFast = statusAction === STATUS_ACTIONS.FAIL || classification?.action === ERROR_ACTIONS.GIVE_UP;
+        const retry = await decideRetry(!failFast, { error: statusError, response: result, attempt }, request,
+          policy, logger);
+        if (!retry) {
+          logger.warn(`${statusError.message} is not retryable, failing immediately.`);
+          statusError.retryable = !failFast;
+          lastError = statusError;
+          break;
+        }
 
-          if (shouldRetry) {
-            logger.warn(`${retryReason}, retrying... attempt ${attempt + 1}/${settings.maxRetries + 1}`);
+        logger.warn(`${statusError.message} for ${requestUrl}, attempt ${attempt + 1}/${policy.maxRetries + 1}`);
+        if (mayRetry(statusError, attempt, policy, logger)) {
+          attempt = await handleRetry(statusError, result, attempt, policy, logger, request);
+          continue;
+        }
+        lastError = statusError;
+        break;
+      } catch (err) {
+        lastError = err;
+        endAttempt(activity, attemptRecord, { error: `${err.name}: ${err.message}` });
+        logger.error('Caught error during fetch attempt:', err);
+        logger.debug('Full error object for debugging:', JSON.stringify(err, Object.getOwnPropertyNames(err)));
+
+        let shouldRetry = false;
+        let retryReason = '';
+
+        if (err.name === 'TimeoutError') {
+          retryReason = err.message;
+          shouldRetry = true;
+        } else if (err.name === 'AbortError' || originalSignal?.aborted) {
+          if (originalSignal?.aborted || err.message === 'User aborted' || err.message === 'Request aborted by user') {
+            logger.info('Request aborted by user. Not retrying, propagating abort.');
+            // fetch rejects with the abort reason, which is not always an AbortError.
+            throw err.name === 'AbortError' ? err : new DOMException('Request aborted by user', 'AbortError');
           }
+          retryReason = `Request aborted (${err.message})`;
+          shouldRetry = true;
+        } else {
+          logger.warn(`Non-specific error: ${err.message}, checking if retry is possible. Attempt ${attempt + 1}/${policy.maxRetries + 1}`);
+          shouldRetry = true;
+        }
 
-          if (attempt >= settings.maxRetries) {
-            logger.error('Max retries reached for current error. Breaking retry loop.');
-            break;
+        if (!(await decideRetry(shouldRetry, { error: err, attempt }, request, policy, logger))) {
+          break;
+        }
+        // A failure while offline does not use up an attempt; the same attempt is sent again once online.
+        if (settings.pauseWhenOffline && isOffline()) {
+          if (await waitForNetwork(request, settings, logger)) {
+            request.retryToast.showAttempt(attempt + 1, policy.maxRetries + 1);
+            continue;
           }
+          lastError = createOfflineError(request.offlineWaited, err);
+          break;
+        }
+        logger.warn(`${retryReason}, retrying... attempt ${attempt + 1}/${policy.maxRetries + 1}`);
 
-          attempt = await handleRetry(err, lastResponse, attempt, settings, logger);
-        } finally {
-          if (timeoutId) {
-            clearTimeout(timeoutId);
-          }
+        if (!mayRetry(err, attempt, policy, logger)) {
+          break;
         }
+
+        attempt = await handleRetry(err, lastResponse, attempt, policy, logger, request);
       }
+    }
 
-      logger.error(`All ${settings.maxRetries + 1} attempts failed. Final error:`, lastError);
-      showErrorNotification(lastError, lastResponse, settings);
-      throw lastError;
+    logger.error(`Giving up after ${attempt + 1}/${policy.maxRetries + 1} attempts. Final error:`, lastError);
+    if (lastError.retryBudgetExhausted) {
+      lastError = createRetryBudgetError(lastError);
+    }
+    lastError.attempts = attempt + 1;
+    showErrorNotification(lastError, lastResponse, settings);
+    throw lastError;
+  } finally {
+    if (originalSignal) {
+      originalSignal.removeEventListener('abort', userAbortHandler);
+    }
+    currentController = null;
+  }
+}
+
+// Responses let through by a pass-through status are not successes, even though they are returned.
+function getSuccessOutcome(response) {
+  if (!response.ok) {
+    return ACTIVITY_OUTCOMES.PASSED;
+  }
+  return response.fetchRetry.attempts > 1 ? ACTIVITY_OUTCOMES.RETRIED : ACTIVITY_OUTCOMES.SUCCESS;
+}
+
+const OUTCOME_EVENTS = {
+  [ACTIVITY_OUTCOMES.SUCCESS]: FETCH_RETRY_EVENTS.SUCCESS,
+  [ACTIVITY_OUTCOMES.RETRIED]: FETCH_RETRY_EVENTS.SUCCESS,
+  [ACTIVITY_OUTCOMES.PASSED]: FETCH_RETRY_EVENTS.SUCCESS,
+  [ACTIVITY_OUTCOMES.FAILED]: FETCH_RETRY_EVENTS.EXHAUSTED,
+  [ACTIVITY_OUTCOMES.ABORTED]: FETCH_RETRY_EVENTS.ABORTED,
+};
+
+function settleRequest(request, settings, { outcome, attempts, response = null, error = null }) {
+  const duration = Date.now() - request.startedAt;
+  finishActivity(request.activity, outcome, error);
+  if (settings.collectStats) {
+    recordRequestStats(request.url, { outcome, attempts, duration, error });
+  }
+  emitFetchRetryEvent(OUTCOME_EVENTS[outcome], {
+    ...describeRequest(request),
+    outcome,
+    attempts,
+    duration,
+    status: response?.status ?? error?.status ?? null,
+    error: error ? `${error.name}: ${error.message}` : null,
+  });
+}
+
+// Requests that gave up on a fail-fast status or were aborted say nothing about the upstream's health.
+async function fetchThroughBreaker(originalFetch, request, policy, settings, logger) {
+  const breakerKey = getBreakerKey(request.url, policy, settings);
+  const ticket = acquireBreaker(breakerKey, settings);
+  if (ticket.remaining !== null) {
+    const error = createCircuitOpenError(breakerKey, ticket.remaining);
+    logger.warn(error.message);
+    showErrorNotification(error, null, settings);
+    throw error;
+  }
+
+  try {
+    const response = await fetchWithRetries(originalFetch, request, policy, settings, logger);
+    recordBreakerResult(ticket, true, settings);
+    return response;
+  } catch (err) {
+    const neutral = err.retryable === false || (err.name === 'AbortError' && request.signal?.aborted);
+    const state = recordBreakerResult(ticket, neutral ? null : false, settings, err);
+    if (state === BREAKER_STATES.OPEN) {
+      logger.warn(`Circuit breaker for ${breakerKey} opened; requests will fail fast for ` +
+        `${settings.circuitCooldown}ms.`);
+    }
+    throw err;
+  }
+}
+
+// Holds one of the limiter's concurrent slots for the whole request, retries included.
+async function fetchThroughLimiter(originalFetch, request, policy, settings, logger) {
+  const fetchRequest = settings.enableCircuitBreaker ? fetchThroughBreaker : fetchWithRetries;
+  if (!request.limiterKey) {
+    return fetchRequest(originalFetch, request, policy, settings, logger);
+  }
+
+  const queuedAt = Date.now();
+  const releaseSlot = await acquireSlot(request.limiterKey, policy, request.signal);
+  if (Date.now() > queuedAt) {
+    logger.info(`Waited ${Date.now() - queuedAt}ms in the request queue for ${request.limiterKey}.`);
+  }
+  try {
+    return await fetchRequest(originalFetch, request, policy, settings, logger);
+  } finally {
+    releaseSlot();
+  }
+}
+
+// Non-idempotent requests whose method the policy does not list are sent once, without retries or hedges.
+export function resolveMethodPolicy(requestUrl, method, settings, logger) {
+  const policy = resolveRetryPolicy(requestUrl, settings, logger);
+  if (isRetryableMethod(method, policy)) {
+    return policy;
+  }
+  logger.debug(`${method} ${requestUrl} is not idempotent and not in the retried methods, it will not be retried.`);
+  return { ...policy, maxRetries: 0, enableHedging: false };
+}
+
+export function createRetryableFetch(originalFetch, settings, logger) {
+  return async function (...args) {
+    if (!settings || !settings.enabled) {
+      logger.debug('Fetch Retry is disabled or settings unavailable. Bypassing.');
+      return originalFetch.apply(this, args);
+    }
+
+    const requestUrl = args[0] instanceof Request ? args[0].url : String(args[0]);
+    logger.debug('Intercepted a fetch request.', { url: requestUrl, attempt: 0 });
+
+    if (!shouldApplyRetryLogic(requestUrl, settings, logger)) {
+      logger.debug(`URL ${requestUrl} does not match filter patterns. Bypassing retry logic.`);
+      return originalFetch.apply(this, args);
+    }
+
+    const method = String((args[0] instanceof Request ? args[0].method : args[1]?.method) ?? 'GET').toUpperCase();
+    const policy = resolveMethodPolicy(requestUrl, method, settings, logger);
+
+    const originalSignal = args[0] instanceof Request ? args[0].signal : (args[1]?.signal);
+    if (originalSignal?.aborted) {
+      logger.debug('Original signal already aborted. Bypassing.');
+      return originalFetch.apply(this, args);
+    }
+
+    const activity = startActivity(settings, { url: requestUrl, method });
+    recordBudgetRequest();
+    // Aborted by the caller's signal or by giving up from the retry notification.
+    const controller = new AbortController();
+    originalSignal?.addEventListener('abort', () => controller.abort(originalSignal.reason), { once: true });
+    const request = {
+      id: nextRequestId++,
+      thisArg: this,
+      args,
+      url: requestUrl,
+      method,
+      profile: policy.profileName ?? null,
+      signal: controller.signal,
+      controller,
+      retryToast: null,
+      activity,
+      startedAt: Date.now(),
+      lastDelay: null,
+      offlineWaited: 0,
+      // Set once the response leaves the wrapper; body timeouts before that are retried, not reported.
+      bodyDelivered: false,
+      idempotencyKey: createIdempotencyKey(method, policy),
+      limiterKey: settings.enableRateLimiter ? getLimiterKey(requestUrl, policy, settings) : null,
+    };
+
+    try {
+      const response = await fetchThroughLimiter(originalFetch, request, policy, settings, logger);
+      Object.assign(request, { bodyDelivered: true });
+      settleRequest(request, settings, {
+        outcome: getSuccessOutcome(response),
+        attempts: response.fetchRetry.attempts,
+        response,
+      });
+      return response;
+    } catch (err) {
+      const outcome = err.name === 'AbortError' && controller.signal.aborted ?
+        ACTIVITY_OUTCOMES.ABORTED :
+        ACTIVITY_OUTCOMES.FAILED;
+      settleRequest(request, settings, { outcome, attempts: err.attempts ?? 1, error: err });
+      throw err;
     } finally {
-      if (originalSignal) {
-        originalSignal.removeEventListener('abort', userAbortHandler);
-      }
-      currentController = null;
+      request.retryToast?.close();
     }
   };
 }
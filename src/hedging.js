@@ -0,0 +1,104 @@
+import { getEndpointKey, getPercentile, getStats } from './stats.js';
+
+// Fewer latency samples than this are too noisy for a percentile; the fixed delay is used instead.
+const MIN_LATENCY_SAMPLES = 20;
+
+// Kept for the whole session so every log line can say how often hedging paid off.
+const counts = { sent: 0, won: 0 };
+
+/**
+ * How long to wait for a response before sending a hedge: the chosen percentile of the
+ * endpoint's recorded latencies, or the fixed delay when no percentile is set or too few
+ * requests have been recorded.
+ */
+export function getHedgeDelay(url, policy) {
+  if (policy.hedgePercentile > 0) {
+    const samples = getStats().endpoints[getEndpointKey(url)]?.latencies ?? [];
+    if (samples.length >= MIN_LATENCY_SAMPLES) {
+      return getPercentile(samples, policy.hedgePercentile);
+    }
+  }
+  return policy.hedgeDelay;
+}
+
+function abortCopy(copy, reason) {
+  copy.controller.abort(reason);
+}
+
+/**
+ * Calls `send(signal)` and, each time `delay` passes without a response, sends another copy,
+ * up to `maxHedges` extra copies. The first response wins and the other copies are aborted
+ * through their own controllers. Every copy is aborted with `signal`. Rejects with the first
+ * error once all copies sent so far have failed.
+ */
+export function fetchHedged(send, { signal, delay, maxHedges, url, logger }) {
+  const startedAt = Date.now();
+  const copies = [];
+  let timer = null;
+  let settled = false;
+  let failures = 0;
+  let firstError = null;
+
+  return new Promise((resolve, reject) => {
+    const settle = () => {
+      settled = true;
+      clearTimeout(timer);
+    };
+
+    const onResponse = (copy, response) => {
+      if (settled) {
+        response.body?.cancel().catch(() => {});
+        return;
+      }
+      settle();
+      const reason = new DOMException('Lost the hedge race', 'AbortError');
+      copies.filter(other => other !== copy).forEach(other => abortCopy(other, reason));
+      if (copy.index > 0) {
+        counts.won += 1;
+        logger.info(`Hedge ${copy.index} for ${url} answered first after ${Date.now() - startedAt}ms ` +
+          `(${counts.won} of ${counts.sent} hedges won so far).`);
+      }
+      resolve(response);
+    };
+
+    const onError = error => {
+      failures += 1;
+      firstError ??= error;
+      if (!settled && failures === copies.length) {
+        settle();
+        reject(firstError);
+      }
+    };
+
+    const sendCopy = () => {
+      const copy = { index: copies.length, controller: new AbortController() };
+      copies.push(copy);
+      if (signal.aborted) {
+        abortCopy(copy, signal.reason);
+      } else {
+        signal.addEventListener('abort', () => abortCopy(copy, signal.reason), { once: true });
+      }
+      send(copy.controller.signal).then(response => onResponse(copy, response), onError);
+    };
+
+    const scheduleHedge = () => {
+      timer = setTimeout(() => {
+        if (signal.aborted) {
+          return;
+        }
+        counts.sent += 1;
+        logger.info(`No response from ${url} after ${Date.now() - startedAt}ms, sending hedge ` +
+          `${copies.length}/${maxHedges} (${counts.sent} hedges sent so far).`);
+        sendCopy();
+        if (copies.length <= maxHedges) {
+          scheduleHedge();
+        }
+      }, delay);
+    };
+
+    sendCopy();
+    if (maxHedges > 0 && !signal.aborted) {
+      scheduleHedge();
+    }
+  });
+}
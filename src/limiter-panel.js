@@ -0,0 +1,65 @@
+import { getLimiterStates, onLimiterChange } from './rate-limiter.js';
+
+function describeLimiter(limiter) {
+  const details = [
+    `${limiter.active}${limiter.maxConcurrent > 0 ? `/${limiter.maxConcurrent}` : ''} in progress`,
+    `${limiter.queued} queued`,
+  ];
+  if (limiter.requestsPerMinute > 0) {
+    details.push(`${limiter.waitingForToken} waiting for the ${limiter.requestsPerMinute}/min limit`);
+  }
+  return details.join(' · ');
+}
+
+function createLimiterRow(limiter) {
+  const row = document.createElement('div');
+  row.classList.add('fetch-retry-limiter');
+  row.classList.toggle('fetch-retry-limiter-busy', limiter.queued + limiter.waitingForToken > 0);
+
+  const key = document.createElement('span');
+  key.classList.add('fetch-retry-limiter-key');
+  key.textContent = limiter.key;
+
+  const details = document.createElement('small');
+  details.textContent = describeLimiter(limiter);
+
+  row.append(key, details);
+  return row;
+}
+
+/**
+ * Shows each rate limiter's requests in progress and queue depth. Limiters only appear while a
+ * request is going through them or their request budget is still refilling.
+ */
+export function renderLimiterPanel(container, settings) {
+  const wrapper = document.createElement('div');
+  wrapper.classList.add('fetch-retry-setting-wrapper');
+
+  const settingRow = document.createElement('div');
+  settingRow.classList.add('setting-row');
+
+  const label = document.createElement('label');
+  label.textContent = 'Request Queue';
+  settingRow.appendChild(label);
+
+  const list = document.createElement('div');
+  list.classList.add('fetch-retry-limiter-list');
+
+  const render = () => {
+    const limiters = getLimiterStates();
+    list.replaceChildren(...limiters.map(createLimiterRow));
+    if (limiters.length === 0) {
+      const empty = document.createElement('small');
+      empty.textContent = settings.enableRateLimiter ?
+        'No requests are waiting for or held back by the rate limiter.' :
+        'The client-side rate limiter is disabled.';
+      list.appendChild(empty);
+    }
+  };
+
+  onLimiterChange(render);
+  render();
+
+  wrapper.append(settingRow, list);
+  container.appendChild(wrapper);
+}
@@ -0,0 +1,39 @@
+export function isOffline() {
+  return window.navigator?.onLine === false;
+}
+
+/**
+ * Waits for the browser's `online` event. Resolves true when it fires or any of `signals`
+ * aborts, and false if `maxWait` milliseconds pass first.
+ */
+export function waitForOnline(maxWait, signals) {
+  return new Promise(resolve => {
+    let timer = null;
+    function finish(online) {
+      clearTimeout(timer);
+      window.removeEventListener('online', onOnline);
+      signals.forEach(signal => signal.removeEventListener('abort', onOnline));
+      resolve(online);
+    }
+    function onOnline() {
+      finish(true);
+    }
+
+    if (!isOffline() || signals.some(signal => signal.aborted)) {
+      resolve(true);
+      return;
+    }
+    timer = setTimeout(() => finish(false), maxWait);
+    window.addEventListener('online', onOnline);
+    signals.forEach(signal => signal.addEventListener('abort', onOnline));
+  });
+}
+
+export function createOfflineError(waited, cause) {
+  const error = new Error(`Still offline after waiting ${Math.round(waited / 1000)}s for the network`);
+  error.name = 'OfflineError';
+  error.cause = cause;
+  // Losing the local network says nothing about the upstream, so circuit breakers ignore it.
+  error.retryable = false;
+  return error;
+}
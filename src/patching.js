@@ -0,0 +1,68 @@
+import { createRetryableFetch } from './fetch-retry.js';
+import { createRetryableXhr } from './xhr-retry.js';
+
+// Shared by every copy of the extension's modules, so a second copy never wraps on top of the first.
+const WRAPPER_MARK = Symbol.for('FetchRetry.wrapper');
+
+// Per patched global: when it is wanted, what was there when we wrapped it, and our wrapper.
+const patches = {
+  fetch: { create: createRetryableFetch, isWanted: settings => settings.enabled, original: null, wrapper: null },
+  XMLHttpRequest: {
+    create: createRetryableXhr,
+    isWanted: settings => settings.enabled && settings.interceptXhr,
+    original: null,
+    wrapper: null,
+  },
+};
+
+function installPatch(name, settings, logger) {
+  const patch = patches[name];
+  if (patch.wrapper) {
+    // Still in the chain, either on top or under a wrapper added since; it resumes on its own.
+    return;
+  }
+  if (window[name][WRAPPER_MARK]) {
+    logger.warn(`window.${name} is already wrapped by another copy of Fetch Retry, not wrapping it again.`);
+    return;
+  }
+
+  patch.original = window[name];
+  patch.wrapper = patch.create(patch.original, settings, logger);
+  patch.wrapper[WRAPPER_MARK] = true;
+  window[name] = patch.wrapper;
+  logger.info(`window.${name} patched.`);
+}
+
+function uninstallPatch(name, logger) {
+  const patch = patches[name];
+  if (!patch.wrapper) {
+    return;
+  }
+  if (window[name] !== patch.wrapper) {
+    // Another script wrapped ours and calls it directly; restoring the original would drop its wrapper.
+    logger.info(`window.${name} was wrapped by another script after Fetch Retry. Leaving the chain intact; ` +
+      'Fetch Retry passes requests straight through while it is disabled.');
+    return;
+  }
+
+  window[name] = patch.original;
+  patch.original = null;
+  patch.wrapper = null;
+  logger.info(`Original window.${name} restored.`);
+}
+
+/**
+ * Wraps `fetch` while the extension is enabled, and `XMLHttpRequest` while XHR interception is
+ * on as well, restoring the originals otherwise. A wrapper that another extension has since
+ * wrapped is left in its chain instead, where it only passes requests through, and is reused
+ * when it is wanted again rather than wrapped a second time.
+ */
+export function syncPatches(settings, logger) {
+  Object.keys(patches).forEach(name => {
+    if (patches[name].isWanted(settings)) {
+      installPatch(name, settings, logger);
+    } else {
+      uninstallPatch(name, logger);
+    }
+  });
+}
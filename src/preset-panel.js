@@ -0,0 +1,196 @@
+import { applySettingsValues, deletePreset, findPreset, getPresets, savePreset } from './presets.js';
+import { createSettingsExport, parseSettingsFile, pickConfigValues } from './settings-io.js';
+import { showSettingsToast } from './toast.js';
+
+function createButton(text, onClick) {
+  const button = document.createElement('div');
+  button.classList.add('menu_button');
+  button.textContent = text;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function downloadJson(filename, data) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+function toFilename(name) {
+  return `fetch-retry-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'settings'}.json`;
+}
+
+function createPresetOptions(context) {
+  const presets = getPresets(context);
+  const groups = [
+    ['Built-in', presets.filter(preset => preset.builtIn)],
+    ['Saved', presets.filter(preset => !preset.builtIn)],
+  ];
+
+  return groups
+    .filter(([, members]) => members.length > 0)
+    .map(([label, members]) => {
+      const group = document.createElement('optgroup');
+      group.label = label;
+      members.forEach(preset => {
+        const option = document.createElement('option');
+        option.value = preset.name;
+        option.textContent = preset.name;
+        option.title = preset.description ?? '';
+        group.appendChild(option);
+      });
+      return group;
+    });
+}
+
+// Applies the valid part of an exported file; a named file is also kept as a saved preset.
+async function importSettingsFile(file, settings, context, logger) {
+  const { name, valid, problems } = parseSettingsFile(await file.text());
+  const count = Object.keys(valid).length;
+  if (problems.length > 0) {
+    logger.warn(`Import of ${file.name} skipped ${problems.length} value(s): ${problems.join('; ')}`);
+  }
+  if (count === 0) {
+    showSettingsToast('error', `Nothing to import from ${file.name}`);
+    return { applied: false, problems, presetName: null };
+  }
+
+  applySettingsValues(valid, settings, context);
+  const presetName = name && !findPreset(context, name)?.builtIn ? name : null;
+  if (presetName) {
+    savePreset(context, presetName, valid);
+  }
+
+  const skipped = problems.length > 0 ? `, ${problems.length} skipped` : '';
+  showSettingsToast(problems.length > 0 ? 'warning' : 'success', `Imported ${count} setting(s)${skipped}`);
+  logger.info(`Imported ${count} setting(s) from ${file.name}.`);
+  return { applied: true, problems, presetName };
+}
+
+function createFileButtons(settings, context, logger, onImported) {
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = 'application/json,.json';
+  fileInput.hidden = true;
+  fileInput.addEventListener('change', async () => {
+    const [file] = fileInput.files;
+    fileInput.value = '';
+    if (file) {
+      onImported(await importSettingsFile(file, settings, context, logger));
+    }
+  });
+
+  const exportAllButton = createButton('Export all settings', () => {
+    downloadJson(toFilename('settings'), createSettingsExport(pickConfigValues(settings)));
+  });
+  const importButton = createButton('Import…', () => fileInput.click());
+
+  const buttons = document.createElement('div');
+  buttons.classList.add('button-container');
+  buttons.append(exportAllButton, importButton, fileInput);
+  return buttons;
+}
+
+/**
+ * Preset switcher plus JSON export and import. Imported values are checked against
+ * SETTINGS_CONFIG first; anything unknown or invalid is listed and left unchanged.
+ */
+export function renderPresetPanel(container, settings, context, logger, onApplied) {
+  const wrapper = document.createElement('div');
+  wrapper.classList.add('fetch-retry-setting-wrapper');
+
+  const settingRow = document.createElement('div');
+  settingRow.classList.add('setting-row');
+
+  const label = document.createElement('label');
+  label.htmlFor = 'fetch-retry-preset';
+  label.textContent = 'Presets';
+
+  const presetSelect = document.createElement('select');
+  presetSelect.id = 'fetch-retry-preset';
+  presetSelect.classList.add('text_pole');
+  settingRow.append(label, presetSelect);
+
+  const description = document.createElement('small');
+  const report = document.createElement('div');
+  report.classList.add('validation-error');
+  const showReport = problems => {
+    report.textContent = problems.length > 0 ? `Skipped: ${problems.join('; ')}` : '';
+    report.classList.toggle('visible', problems.length > 0);
+  };
+
+  const deleteButton = createButton('Delete', () => {});
+
+  const refresh = (selected = presetSelect.value) => {
+    presetSelect.replaceChildren(...createPresetOptions(context));
+    if (findPreset(context, selected)) {
+      presetSelect.value = selected;
+    }
+    const preset = findPreset(context, presetSelect.value);
+    description.textContent = preset?.description ?? 'Saved preset.';
+    deleteButton.classList.toggle('disabled', !preset || preset.builtIn);
+  };
+
+  deleteButton.addEventListener('click', () => {
+    const name = presetSelect.value;
+    deletePreset(context, name);
+    logger.info(`Preset "${name}" deleted.`);
+    refresh();
+  });
+
+  const applyButton = createButton('Apply', () => {
+    const preset = findPreset(context, presetSelect.value);
+    if (!preset) {
+      return;
+    }
+    applySettingsValues(preset.settings, settings, context);
+    onApplied();
+    showReport([]);
+    logger.info(`Preset "${preset.name}" applied.`);
+    showSettingsToast('success', `Preset "${preset.name}" applied`);
+  });
+
+  const saveButton = createButton('Save as…', () => {
+    const name = window.prompt('Save the current settings as preset:', '')?.trim();
+    if (!name) {
+      return;
+    }
+    try {
+      savePreset(context, name, settings);
+    } catch (err) {
+      showSettingsToast('error', err.message);
+      return;
+    }
+    logger.info(`Preset "${name}" saved.`);
+    refresh(name);
+  });
+
+  const exportPresetButton = createButton('Export preset', () => {
+    const preset = findPreset(context, presetSelect.value);
+    if (preset) {
+      downloadJson(toFilename(preset.name), createSettingsExport(preset.settings, preset.name));
+    }
+  });
+
+  presetSelect.addEventListener('change', () => refresh());
+  refresh();
+
+  const presetButtons = document.createElement('div');
+  presetButtons.classList.add('button-container');
+  presetButtons.append(applyButton, saveButton, deleteButton, exportPresetButton);
+
+  const fileButtons = createFileButtons(settings, context, logger, result => {
+    showReport(result.problems);
+    if (result.applied) {
+      onApplied();
+      refresh(result.presetName ?? undefined);
+    }
+  });
+
+  wrapper.append(settingRow, description, presetButtons, fileButtons, report);
+  container.appendChild(wrapper);
+}
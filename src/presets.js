@@ -0,0 +1,135 @@
+import { DEFAULT_SETTINGS, SETTINGS_CONFIG, incrementSettingsVersion, loadSettings } from './settings.js';
+import { pickConfigValues } from './settings-io.js';
+
+const PRESETS_KEY = 'FetchRetryPresets';
+
+// Which requests are intercepted, and local diagnostics, belong to the installation, not a preset.
+const INSTALLATION_SETTINGS = [
+  'enabled',
+  'urlFilterMode',
+  'urlPatterns',
+  'debugMode',
+  'activityLogSize',
+  'collectStats',
+  'interceptXhr',
+];
+
+// Rules and lists the user wrote by hand survive a preset switch instead of being reset to the defaults.
+const USER_AUTHORED_SETTINGS = [
+  'retryProfiles',
+  'responseRules',
+  'failoverTargets',
+  'retryStatusCodes',
+  'failStatusCodes',
+  'passStatusCodes',
+  'retryMethods',
+  'retryFinishReasons',
+  'retryNudge',
+  'retryPrefill',
+];
+
+export const PRESET_SETTINGS = SETTINGS_CONFIG
+  .map(setting => setting.varId)
+  .filter(varId => !INSTALLATION_SETTINGS.includes(varId) && !USER_AUTHORED_SETTINGS.includes(varId));
+
+// Built-in presets list only what differs from the defaults; every other preset setting is reset.
+// A preset may still override a user-authored list on purpose, as Conservative does.
+function fromDefaults(overrides) {
+  return Object.freeze({ ...pickConfigValues(DEFAULT_SETTINGS, PRESET_SETTINGS), ...overrides });
+}
+
+export const BUILT_IN_PRESETS = Object.freeze([
+  {
+    name: 'Default',
+    description: 'The settings the extension ships with.',
+    settings: fromDefaults({}),
+  },
+  {
+    name: 'Aggressive',
+    description: 'Many quick retries, short timeouts and retrying empty completions.',
+    settings: fromDefaults({
+      maxRetries: 10,
+      retryDelay: 500,
+      rateLimitDelay: 3000,
+      enableThinkingTimeout: true,
+      thinkingTimeout: 60000,
+      enableStreamIdleTimeout: true,
+      streamIdleTimeout: 45000,
+      retryOnEmptyResponse: true,
+      failoverAfter: 1,
+    }),
+  },
+  {
+    name: 'Conservative',
+    description: 'A couple of slow retries on clearly transient errors, with a circuit breaker.',
+    settings: fromDefaults({
+      maxRetries: 2,
+      retryDelay: 3000,
+      rateLimitDelay: 15000,
+      retryStatusCodes: '429, 502, 503, 504',
+      failoverAfter: 2,
+      enableCircuitBreaker: true,
+    }),
+  },
+  {
+    name: 'Gemini free tier',
+    description: 'Paced to 10 requests per minute, with long waits on RESOURCE_EXHAUSTED and retries of ' +
+      'empty or blocked Gemini completions.',
+    settings: fromDefaults({
+      enableRateLimiter: true,
+      requestsPerMinute: 10,
+      maxRetries: 4,
+      retryDelay: 2000,
+      rateLimitDelay: 30000,
+      enableStreamIdleTimeout: true,
+      streamIdleTimeout: 60000,
+      retryOnEmptyResponse: true,
+      retryOnFinishReason: true,
+      retryFinishReasons: 'SAFETY, RECITATION, OTHER, PROHIBITED_CONTENT',
+    }),
+  },
+]);
+
+function getSavedPresets(context) {
+  const saved = context.extensionSettings[PRESETS_KEY];
+  return Array.isArray(saved) ? saved : [];
+}
+
+export function getPresets(context) {
+  return [
+    ...BUILT_IN_PRESETS.map(preset => ({ ...preset, builtIn: true })),
+    ...getSavedPresets(context).map(preset => ({ ...preset, builtIn: false })),
+  ];
+}
+
+export function findPreset(context, name) {
+  return getPresets(context).find(preset => preset.name === name) ?? null;
+}
+
+/**
+ * Saves the preset-relevant part of `values` under `name`, replacing a saved preset with the
+ * same name. Built-in names are reserved.
+ */
+export function savePreset(context, name, values) {
+  if (BUILT_IN_PRESETS.some(preset => preset.name === name)) {
+    throw new Error(`"${name}" is a built-in preset`);
+  }
+  const settings = Object.fromEntries(PRESET_SETTINGS
+    .filter(varId => values[varId] !== undefined)
+    .map(varId => [varId, structuredClone(values[varId])]));
+  const presets = getSavedPresets(context).filter(preset => preset.name !== name);
+  context.extensionSettings[PRESETS_KEY] = [...presets, { name, settings }];
+  context.saveSettingsDebounced();
+}
+
+export function deletePreset(context, name) {
+  context.extensionSettings[PRESETS_KEY] = getSavedPresets(context).filter(preset => preset.name !== name);
+  context.saveSettingsDebounced();
+}
+
+// Values must already be validated; loadSettings only coerces types.
+export function applySettingsValues(values, settings, context) {
+  loadSettings(structuredClone(values), settings);
+  incrementSettingsVersion(settings);
+  context.saveSettingsDebounced();
+}
@@ -0,0 +1,247 @@
+import { incrementSettingsVersion } from './settings.js';
+import { PROFILE_SETTINGS, createProfile } from './profiles.js';
+import { getUrlPatternError } from './url-matcher.js';
+
+function saveProfiles(profiles, settings, context, logger) {
+  settings.retryProfiles = profiles;
+  incrementSettingsVersion(settings);
+  context.saveSettingsDebounced();
+  logger.debug(`Retry profiles saved: ${JSON.stringify(profiles.map(profile => profile.name))}`);
+}
+
+function getProfiles(settings) {
+  return Array.isArray(settings.retryProfiles) ? settings.retryProfiles : [];
+}
+
+export function createIconButton(iconClass, title, onClick) {
+  const button = document.createElement('div');
+  button.classList.add('menu_button', 'fa-solid', iconClass, 'fetch-retry-icon-button');
+  button.title = title;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function createLinesInput(setting, value, onChange) {
+  const input = document.createElement('textarea');
+  input.classList.add('text_pole');
+  input.rows = 3;
+  input.value = Array.isArray(value) ? value.join('\n') : '';
+  input.addEventListener('change', () => {
+    const lines = input.value.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+    const validationError = setting.validate ? setting.validate(lines) : null;
+    input.classList.toggle('error', Boolean(validationError));
+    input.title = validationError ?? '';
+    if (!validationError) {
+      onChange(setting.varId, lines.slice(0, setting.maxPatterns));
+    }
+  });
+  return input;
+}
+
+function createTextInput(setting, value, onChange) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.classList.add('text_pole');
+  input.value = value ?? '';
+  input.addEventListener('change', () => {
+    const text = input.value.trim();
+    const validationError = setting.validate ? setting.validate(text) : null;
+    input.classList.toggle('error', Boolean(validationError));
+    input.title = validationError ?? '';
+    if (!validationError) {
+      onChange(setting.varId, text);
+    }
+  });
+  return input;
+}
+
+function createProfileField(setting, profile, onChange) {
+  const { varId, displayText, type } = setting;
+  const value = profile[varId];
+
+  const field = document.createElement('label');
+  field.classList.add('fetch-retry-profile-field');
+
+  const caption = document.createElement('span');
+  caption.textContent = displayText;
+  field.appendChild(caption);
+
+  let input;
+  if (type === 'checkbox') {
+    input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = Boolean(value);
+    input.addEventListener('change', () => onChange(varId, input.checked));
+  } else if (type === 'select') {
+    input = document.createElement('select');
+    input.classList.add('text_pole');
+    setting.options.forEach(option => {
+      const optionElement = document.createElement('option');
+      optionElement.value = option.value;
+      optionElement.textContent = option.label;
+      input.appendChild(optionElement);
+    });
+    input.value = String(value);
+    input.addEventListener('change', () => onChange(varId, input.value));
+  } else if (type === 'slider') {
+    input = document.createElement('input');
+    input.type = 'number';
+    input.min = String(setting.min);
+    input.max = String(setting.max);
+    input.step = String(setting.step);
+    input.value = String(value);
+    input.addEventListener('change', () => {
+      const number = Math.min(setting.max, Math.max(setting.min, Number(input.value)));
+      input.value = String(number);
+      onChange(varId, number);
+    });
+  } else if (type === 'textarea') {
+    input = createLinesInput(setting, value, onChange);
+  } else {
+    input = createTextInput(setting, value, onChange);
+  }
+
+  field.appendChild(input);
+  return field;
+}
+
+function createPatternInput(profile, onChange) {
+  const wrapper = document.createElement('div');
+  wrapper.classList.add('fetch-retry-profile-pattern');
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.classList.add('text_pole');
+  input.placeholder = 'URL regex, e.g. /v1/chat/completions';
+  input.value = profile.pattern ?? '';
+
+  const errorElement = document.createElement('div');
+  errorElement.classList.add('validation-error');
+
+  input.addEventListener('input', () => {
+    const pattern = input.value.trim();
+    const validationError = getUrlPatternError(pattern);
+    if (validationError) {
+      errorElement.textContent = validationError;
+      errorElement.classList.add('visible');
+      input.classList.add('error');
+      return;
+    }
+    errorElement.classList.remove('visible');
+    input.classList.remove('error');
+    onChange('pattern', pattern);
+  });
+
+  wrapper.append(input, errorElement);
+  return wrapper;
+}
+
+function createProfileCard(profile, index, actions) {
+  const card = document.createElement('div');
+  card.classList.add('fetch-retry-profile');
+
+  const header = document.createElement('div');
+  header.classList.add('fetch-retry-profile-header');
+
+  const enabledInput = document.createElement('input');
+  enabledInput.type = 'checkbox';
+  enabledInput.title = 'Enable this rule';
+  enabledInput.checked = profile.enabled !== false;
+  enabledInput.addEventListener('change', () => actions.update(index, 'enabled', enabledInput.checked));
+
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.classList.add('text_pole');
+  nameInput.value = profile.name ?? '';
+  nameInput.addEventListener('change', () => {
+    actions.update(index, 'name', nameInput.value.trim() || `Rule ${index + 1}`);
+  });
+
+  header.append(
+    enabledInput,
+    nameInput,
+    createIconButton('fa-arrow-up', 'Move up', () => actions.move(index, -1)),
+    createIconButton('fa-arrow-down', 'Move down', () => actions.move(index, 1)),
+    createIconButton('fa-trash', 'Delete rule', () => actions.remove(index)),
+  );
+
+  const fields = document.createElement('div');
+  fields.classList.add('fetch-retry-profile-fields');
+  PROFILE_SETTINGS.forEach(setting => {
+    fields.appendChild(createProfileField(setting, profile, (varId, value) => actions.update(index, varId, value)));
+  });
+
+  card.append(header, createPatternInput(profile, (varId, value) => actions.update(index, varId, value)), fields);
+  return card;
+}
+
+export function renderProfileEditor(container, setting, settings, context, logger) {
+  const list = document.createElement('div');
+  list.id = `fetch-retry-${setting.varId}`;
+  list.classList.add('fetch-retry-profile-list');
+
+  const addButton = document.createElement('div');
+  addButton.classList.add('menu_button');
+  addButton.textContent = 'Add rule';
+
+  const render = () => {
+    list.replaceChildren();
+    const profiles = getProfiles(settings);
+
+    // Fields added after a profile was created inherit the global value until edited.
+    const resolved = profiles.map(profile => {
+      const filled = { ...profile };
+      PROFILE_SETTINGS.forEach(({ varId }) => {
+        if (filled[varId] === undefined) {
+          filled[varId] = settings[varId];
+        }
+      });
+      return filled;
+    });
+
+    const actions = {
+      update: (index, key, value) => {
+        const profileList = getProfiles(settings);
+        const updated = profileList.map((profile, i) => (i === index ? { ...profile, [key]: value } : profile));
+        saveProfiles(updated, settings, context, logger);
+      },
+      move: (index, offset) => {
+        const target = index + offset;
+        const reordered = [...getProfiles(settings)];
+        if (target < 0 || target >= reordered.length) {
+          return;
+        }
+        [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+        saveProfiles(reordered, settings, context, logger);
+        render();
+      },
+      remove: index => {
+        saveProfiles(getProfiles(settings).filter((_, i) => i !== index), settings, context, logger);
+        render();
+      },
+    };
+
+    resolved.forEach((profile, index) => list.appendChild(createProfileCard(profile, index, actions)));
+    addButton.classList.toggle('disabled', profiles.length >= setting.maxProfiles);
+  };
+
+  addButton.addEventListener('click', () => {
+    const profiles = getProfiles(settings);
+    if (profiles.length >= setting.maxProfiles) {
+      logger.warn(`Cannot add more than ${setting.maxProfiles} retry profiles.`);
+      return;
+    }
+    saveProfiles([...profiles, createProfile(settings, profiles.length)], settings, context, logger);
+    render();
+  });
+
+  // Dispatched by applyAllSettings when the profiles were replaced from outside the editor.
+  list.addEventListener('fetch-retry-refresh', render);
+  render();
+
+  const buttonContainer = document.createElement('div');
+  buttonContainer.classList.add('button-container');
+  buttonContainer.appendChild(addButton);
+
+  container.append(list, buttonContainer);
+}
@@ -0,0 +1,67 @@
+import { SETTINGS_CONFIG } from './settings.js';
+import { compileUrlPattern } from './url-matcher.js';
+
+export const PROFILE_SETTINGS = SETTINGS_CONFIG.filter(setting => setting.perProfile);
+
+let cachedMatchers = null;
+let cachedMatchersVersion = -1;
+
+function getCachedMatchers(profiles, settingsVersion, logger) {
+  if (cachedMatchersVersion === settingsVersion && cachedMatchers !== null) {
+    return cachedMatchers;
+  }
+
+  cachedMatchers = profiles.map(profile => {
+    if (!profile || typeof profile.pattern !== 'string' || profile.pattern.length === 0) {
+      return null;
+    }
+    return compileUrlPattern(profile.pattern, logger);
+  });
+  cachedMatchersVersion = settingsVersion;
+  logger.debug(`Compiled ${cachedMatchers.filter(Boolean).length} retry profile matchers (cached).`);
+
+  return cachedMatchers;
+}
+
+export function createProfile(settings, index) {
+  const profile = {
+    name: `Rule ${index + 1}`,
+    pattern: '',
+    enabled: true,
+  };
+  PROFILE_SETTINGS.forEach(({ varId }) => {
+    profile[varId] = settings[varId];
+  });
+  return profile;
+}
+
+export function findMatchingProfile(url, settings, logger) {
+  const { retryProfiles, _settingsVersion = 0 } = settings;
+  if (!Array.isArray(retryProfiles) || retryProfiles.length === 0) {
+    return null;
+  }
+
+  const matchers = getCachedMatchers(retryProfiles, _settingsVersion, logger);
+  const index = retryProfiles.findIndex((profile, i) => profile?.enabled !== false && matchers[i]?.test(url));
+  return index === -1 ? null : retryProfiles[index];
+}
+
+export function resolveRetryPolicy(url, settings, logger) {
+  const policy = { ...settings, profileName: null };
+  const profile = findMatchingProfile(url, settings, logger);
+
+  if (!profile) {
+    logger.debug(`No retry profile matches ${url}, using global settings.`);
+    return policy;
+  }
+
+  PROFILE_SETTINGS.forEach(({ varId }) => {
+    if (profile[varId] !== undefined) {
+      policy[varId] = profile[varId];
+    }
+  });
+  policy.profileName = profile.name;
+  logger.debug(`Retry profile "${profile.name}" matches ${url}.`);
+
+  return policy;
+}
@@ -0,0 +1,85 @@
+const UNIT_MS = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+const DURATION_PART = /(\d+(?:\.\d+)?)(ms|h|m|s)/gy;
+const MS_PER_SECOND = 1000;
+
+// Providers with per-limit reset headers; a limit only applies once its remaining count is 0.
+const RESET_HEADER_FAMILIES = [
+  {
+    provider: 'OpenAI',
+    limits: ['requests', 'tokens'],
+    reset: limit => `x-ratelimit-reset-${limit}`,
+    remaining: limit => `x-ratelimit-remaining-${limit}`,
+  },
+  {
+    provider: 'Anthropic',
+    limits: ['requests', 'tokens', 'input-tokens', 'output-tokens'],
+    reset: limit => `anthropic-ratelimit-${limit}-reset`,
+    remaining: limit => `anthropic-ratelimit-${limit}-remaining`,
+  },
+];
+
+/**
+ * Parses a Go-style duration such as `6m0s`, `1.5s` or `20ms`; a bare number is seconds.
+ * Returns milliseconds, or null if the value is not a duration.
+ */
+export function parseDuration(value) {
+  const text = value.trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Number(text) * MS_PER_SECOND;
+  }
+
+  DURATION_PART.lastIndex = 0;
+  let total = 0;
+  let match;
+  while (DURATION_PART.lastIndex < text.length && (match = DURATION_PART.exec(text)) !== null) {
+    total += Number(match[1]) * UNIT_MS[match[2]];
+  }
+  return text.length > 0 && DURATION_PART.lastIndex === text.length ? total : null;
+}
+
+// A duration, or an absolute time (HTTP-date or RFC 3339) turned into the wait from `now`.
+function parseDelayOrDate(value, now) {
+  const duration = parseDuration(value);
+  if (duration !== null) {
+    return duration;
+  }
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : Math.max(0, time - now);
+}
+
+function getProviderResetDelay(headers, now) {
+  let longest = null;
+  RESET_HEADER_FAMILIES.forEach(family => family.limits.forEach(limit => {
+    const reset = headers.get(family.reset(limit));
+    const remaining = headers.get(family.remaining(limit));
+    if (reset === null || (remaining !== null && Number(remaining) > 0)) {
+      return;
+    }
+    const delay = parseDelayOrDate(reset, now);
+    if (delay !== null && (longest === null || delay > longest.delay)) {
+      longest = { delay, source: family.reset(limit) };
+    }
+  }));
+  return longest;
+}
+
+/**
+ * Reads how long the server asks the client to wait, in milliseconds. `retry-after-ms` wins
+ * over `Retry-After` (seconds or HTTP-date); on rate-limited responses the OpenAI and
+ * Anthropic reset headers of exhausted limits are used when neither is present. Returns
+ * `{ delay, source }` with the header name, or null.
+ */
+export function getServerRetryDelay(headers, rateLimited, now = Date.now()) {
+  const retryAfterMs = Number.parseFloat(headers.get('retry-after-ms') ?? '');
+  if (Number.isFinite(retryAfterMs) && retryAfterMs >= 0) {
+    return { delay: retryAfterMs, source: 'retry-after-ms' };
+  }
+
+  const retryAfter = headers.get('retry-after');
+  const retryAfterDelay = retryAfter === null ? null : parseDelayOrDate(retryAfter, now);
+  if (retryAfterDelay !== null) {
+    return { delay: retryAfterDelay, source: 'Retry-After' };
+  }
+
+  return rateLimited ? getProviderResetDelay(headers, now) : null;
+}
@@ -0,0 +1,177 @@
+import { getScopeKey } from './url-matcher.js';
+
+const MS_PER_MINUTE = 60000;
+
+const limiters = new Map();
+const listeners = new Set();
+
+function notifyListeners() {
+  listeners.forEach(listener => listener());
+}
+
+function createLimiter(key) {
+  return {
+    key,
+    active: 0,
+    maxConcurrent: 0,
+    slotQueue: [],
+    tokens: null,
+    refilledAt: 0,
+    requestsPerMinute: 0,
+    burst: 1,
+    tokenQueue: [],
+    timer: null,
+  };
+}
+
+function getLimiter(key) {
+  if (!limiters.has(key)) {
+    limiters.set(key, createLimiter(key));
+  }
+  return limiters.get(key);
+}
+
+function createAbortError() {
+  return new DOMException('Request aborted by user', 'AbortError');
+}
+
+/**
+ * Queues a waiter in FIFO order. It is removed and rejected with an AbortError if `signal`
+ * aborts first; `tryGrant` is called so that an idle limiter grants it straight away, and again
+ * after an abort so the limiter can be pruned once nothing is left waiting.
+ */
+function enqueue(queue, signal, tryGrant) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const waiter = { resolve, onAbort: null };
+    waiter.onAbort = () => {
+      queue.splice(queue.indexOf(waiter), 1);
+      reject(createAbortError());
+      tryGrant();
+    };
+    waiter.resolve = value => {
+      signal?.removeEventListener('abort', waiter.onAbort);
+      resolve(value);
+    };
+    signal?.addEventListener('abort', waiter.onAbort, { once: true });
+    queue.push(waiter);
+    tryGrant();
+    notifyListeners();
+  });
+}
+
+function refillTokens(limiter) {
+  const now = Date.now();
+  const perMs = limiter.requestsPerMinute / MS_PER_MINUTE;
+  const refilled = limiter.tokens === null ?
+    limiter.burst :
+    limiter.tokens + ((now - limiter.refilledAt) * perMs);
+  Object.assign(limiter, { tokens: Math.min(limiter.burst, refilled), refilledAt: now });
+}
+
+/**
+ * Forgets a limiter once nothing holds or waits for it. A drained bucket is kept until it has
+ * refilled, since a new limiter starts full and would otherwise let a burst through early.
+ */
+function pruneIfIdle(limiter) {
+  if (limiter.active > 0 || limiter.slotQueue.length > 0 || limiter.tokenQueue.length > 0) {
+    return;
+  }
+  if (limiter.requestsPerMinute > 0) {
+    refillTokens(limiter);
+    if (limiter.tokens < limiter.burst) {
+      const wait = Math.ceil((limiter.burst - limiter.tokens) * MS_PER_MINUTE / limiter.requestsPerMinute);
+      clearTimeout(limiter.timer);
+      Object.assign(limiter, { timer: setTimeout(() => pruneIfIdle(limiter), wait) });
+      return;
+    }
+  }
+  if (limiters.get(limiter.key) === limiter) {
+    limiters.delete(limiter.key);
+    notifyListeners();
+  }
+}
+
+function grantTokens(limiter) {
+  clearTimeout(limiter.timer);
+  Object.assign(limiter, { timer: null });
+  refillTokens(limiter);
+  while (limiter.tokenQueue.length > 0 && limiter.tokens >= 1) {
+    Object.assign(limiter, { tokens: limiter.tokens - 1 });
+    limiter.tokenQueue.shift().resolve();
+  }
+  if (limiter.tokenQueue.length > 0) {
+    const wait = Math.ceil((1 - limiter.tokens) * MS_PER_MINUTE / limiter.requestsPerMinute);
+    Object.assign(limiter, { timer: setTimeout(() => grantTokens(limiter), wait) });
+  }
+  notifyListeners();
+  pruneIfIdle(limiter);
+}
+
+function grantSlots(limiter) {
+  while (limiter.slotQueue.length > 0 && (limiter.maxConcurrent === 0 || limiter.active < limiter.maxConcurrent)) {
+    Object.assign(limiter, { active: limiter.active + 1 });
+    limiter.slotQueue.shift().resolve();
+  }
+  notifyListeners();
+  pruneIfIdle(limiter);
+}
+
+export function getLimiterKey(url, policy, settings) {
+  return getScopeKey(url, policy, settings.rateLimiterScope);
+}
+
+/**
+ * Waits for one of the limiter's concurrent request slots, in FIFO order. Resolves to a
+ * release function that must be called exactly once when the request is done. When the policy
+ * sets no limit at all, no limiter is created and the release function does nothing.
+ */
+export async function acquireSlot(key, policy, signal) {
+  if (policy.maxConcurrentRequests === 0 && policy.requestsPerMinute === 0) {
+    return () => {};
+  }
+  const limiter = getLimiter(key);
+  limiter.maxConcurrent = policy.maxConcurrentRequests;
+  await enqueue(limiter.slotQueue, signal, () => grantSlots(limiter));
+
+  let released = false;
+  return () => {
+    if (!released) {
+      released = true;
+      limiter.active -= 1;
+      grantSlots(limiter);
+    }
+  };
+}
+
+/**
+ * Waits for a token from the limiter's bucket, which refills at `requestsPerMinute` and holds
+ * up to `rateLimitBurst`. Resolves at once when the policy has no per-minute limit.
+ */
+export function acquireToken(key, policy, signal) {
+  if (policy.requestsPerMinute === 0) {
+    return Promise.resolve();
+  }
+  const limiter = getLimiter(key);
+  Object.assign(limiter, { requestsPerMinute: policy.requestsPerMinute, burst: policy.rateLimitBurst });
+  return enqueue(limiter.tokenQueue, signal, () => grantTokens(limiter));
+}
+
+export function getLimiterStates() {
+  return [...limiters.values()].map(limiter => ({
+    key: limiter.key,
+    active: limiter.active,
+    maxConcurrent: limiter.maxConcurrent,
+    queued: limiter.slotQueue.length,
+    waitingForToken: limiter.tokenQueue.length,
+    requestsPerMinute: limiter.requestsPerMinute,
+  }));
+}
+
+export function onLimiterChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
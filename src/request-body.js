@@ -0,0 +1,27 @@
+/**
+ * Decodes a captured request body as JSON. Returns null for empty, binary or non-JSON bodies,
+ * which callers treat as "leave the body alone".
+ */
+export function readJsonBody(bodyContent) {
+  let text = null;
+  if (typeof bodyContent === 'string') {
+    text = bodyContent;
+  } else if (bodyContent instanceof ArrayBuffer || ArrayBuffer.isView(bodyContent)) {
+    try {
+      text = new TextDecoder('utf-8', { fatal: true }).decode(bodyContent);
+    } catch {
+      return null;
+    }
+  }
+
+  if (!text) {
+    return null;
+  }
+
+  try {
+    const data = JSON.parse(text);
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,71 @@
+// Methods RFC 9110 defines as idempotent: sending them twice has the same effect as once.
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'TRACE', 'PUT', 'DELETE']);
+
+export const IDEMPOTENCY_KEY_HEADER = 'Idempotency-Key';
+
+export function parseMethodList(value) {
+  const methods = [];
+  const invalid = [];
+
+  String(value ?? '')
+    .split(/[\s,]+/)
+    .filter(token => token.length > 0)
+    .forEach(token => {
+      if (/^[a-z]+$/i.test(token)) {
+        methods.push(token.toUpperCase());
+      } else {
+        invalid.push(token);
+      }
+    });
+
+  return { methods, invalid };
+}
+
+export function validateMethodList(value) {
+  const { invalid } = parseMethodList(value);
+  return invalid.length > 0 ? `Invalid HTTP methods: ${invalid.join(', ')}` : null;
+}
+
+export function isIdempotentMethod(method) {
+  return IDEMPOTENT_METHODS.has(method);
+}
+
+// Idempotent methods are always retried; any other method only if the policy lists it.
+export function isRetryableMethod(method, policy) {
+  return isIdempotentMethod(method) || parseMethodList(policy.retryMethods).methods.includes(method);
+}
+
+// Version 4 layout: x is any hex digit, y is 8, 9, a or b (the RFC 4122 variant).
+const UUID_TEMPLATE = 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx';
+const HEX = 16;
+const VARIANT_BASE = 8;
+const VARIANT_CHOICES = 4;
+
+// randomUUID only exists in secure contexts, so installs served over plain http build one by hand.
+function createUuid() {
+  if (typeof window.crypto.randomUUID === 'function') {
+    return window.crypto.randomUUID();
+  }
+  const random = window.crypto.getRandomValues(new Uint8Array(UUID_TEMPLATE.length));
+  return UUID_TEMPLATE.replace(/[xy]/g, (char, offset) => {
+    const digit = random[offset] % HEX;
+    return (char === 'x' ? digit : VARIANT_BASE + (digit % VARIANT_CHOICES)).toString(HEX);
+  });
+}
+
+// One key per request, reused by all of its attempts; null when the policy does not send one.
+export function createIdempotencyKey(method, policy) {
+  return policy.sendIdempotencyKey && !isIdempotentMethod(method) ? createUuid() : null;
+}
+
+/**
+ * Returns `init` with an `Idempotency-Key` header, unless the caller already set one. The same
+ * key goes out with every attempt so the server can recognise replays.
+ */
+export function applyIdempotencyKey(init, key) {
+  const headers = new Headers(init.headers);
+  if (!headers.has(IDEMPOTENCY_KEY_HEADER)) {
+    headers.set(IDEMPOTENCY_KEY_HEADER, key);
+  }
+  return { ...init, headers };
+}
@@ -0,0 +1,198 @@
+import { getUrlPatternError } from './url-matcher.js';
+
+export const RULE_OPERATORS = Object.freeze([
+  { value: 'exists', label: 'exists', needsValue: false },
+  { value: 'missing', label: 'is missing', needsValue: false },
+  { value: 'equals', label: 'equals', needsValue: true },
+  { value: 'regex', label: 'matches regex', needsValue: true },
+  { value: 'length-below', label: 'length <', needsValue: true },
+]);
+
+export const RULE_ACTIONS = Object.freeze({
+  RETRY: 'retry',
+  FAIL: 'fail',
+  PASS: 'pass',
+});
+
+const OPERATORS_BY_VALUE = new Map(RULE_OPERATORS.map(operator => [operator.value, operator]));
+const RULE_KEYS = new Set(['enabled', 'path', 'operator', 'value', 'action']);
+const MAX_PATH_LENGTH = 300;
+const MAX_VALUE_LENGTH = 500;
+const MAX_FOUND_LENGTH = 100;
+const MAX_CACHED_REGEXES = 100;
+
+// Rules are checked on every response, so each regex is compiled once; null for unsafe ones.
+const regexCache = new Map();
+
+function getRuleRegex(source) {
+  if (!regexCache.has(source)) {
+    if (regexCache.size >= MAX_CACHED_REGEXES) {
+      regexCache.clear();
+    }
+    regexCache.set(source, getUrlPatternError(source) ? null : new RegExp(source));
+  }
+  return regexCache.get(source);
+}
+
+/**
+ * Splits a dotted or JSONPath-style path into keys and array indexes, so
+ * `choices[0].message.content`, `$.choices[0].message.content` and `error['code']` all work.
+ * Throws on malformed paths.
+ */
+export function parseRulePath(path) {
+  const text = path.trim().replace(/^\$\.?/, '');
+  const segments = [];
+  const pattern = /\.?([^.[\]]+)|\[(\d+)\]|\[(["'])(.*?)\3\]/gy;
+  let match;
+  while (pattern.lastIndex < text.length && (match = pattern.exec(text)) !== null) {
+    const [, key, index, , quotedKey] = match;
+    segments.push(index === undefined ? key ?? quotedKey : Number(index));
+  }
+  if (pattern.lastIndex !== text.length || (text.length > 0 && segments.length === 0)) {
+    throw new Error(`Invalid path "${path}"`);
+  }
+  return segments;
+}
+
+function getPathValue(data, segments) {
+  return segments.reduce(
+    (value, segment) => (value === null || typeof value !== 'object' ? undefined : value[segment]),
+    data,
+  );
+}
+
+function toText(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value) ?? '';
+}
+
+// Missing values have length 0, so `length < 1` also catches an absent field.
+function getLength(value) {
+  if (value === undefined || value === null) {
+    return 0;
+  }
+  if (typeof value === 'string' || Array.isArray(value)) {
+    return value.length;
+  }
+  return typeof value === 'object' ? Object.keys(value).length : String(value).length;
+}
+
+function matchesOperator(rule, value) {
+  switch (rule.operator) {
+    case 'exists':
+      return value !== undefined && value !== null;
+    case 'missing':
+      return value === undefined || value === null;
+    case 'equals':
+      // Non-string values compare as JSON, so `true`, `3` and `"RECITATION"` (quoted) all work.
+      return value !== undefined && (value === rule.value || JSON.stringify(value) === rule.value.trim());
+    case 'regex':
+      return value !== undefined && Boolean(getRuleRegex(rule.value)?.test(toText(value)));
+    case 'length-below':
+      return getLength(value) < Number(rule.value);
+    default:
+      return false;
+  }
+}
+
+export function describeRule(rule) {
+  const operator = OPERATORS_BY_VALUE.get(rule.operator);
+  const condition = operator?.needsValue ? `${operator.label} ${rule.value}` : operator?.label ?? rule.operator;
+  return `${rule.path} ${condition} → ${rule.action}`;
+}
+
+function validateRuleValue(rule) {
+  if (typeof rule.value !== 'string' || rule.value.length > MAX_VALUE_LENGTH) {
+    return 'needs a value';
+  }
+  if (rule.operator === 'length-below' && !(Number.isInteger(Number(rule.value)) && Number(rule.value) > 0)) {
+    return 'length must be a positive whole number';
+  }
+  if (rule.operator === 'regex') {
+    const regexError = getUrlPatternError(rule.value);
+    if (regexError) {
+      return `regex: ${regexError}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks a single rule. Returns a short description of the problem, or null if the rule is valid.
+ */
+export function validateResponseRule(rule) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return 'is not an object';
+  }
+  const unknown = Object.keys(rule).find(key => !RULE_KEYS.has(key));
+  if (unknown) {
+    return `has unknown field "${unknown}"`;
+  }
+  if (typeof rule.path !== 'string' || rule.path.trim().length === 0 || rule.path.length > MAX_PATH_LENGTH) {
+    return 'needs a path';
+  }
+  try {
+    parseRulePath(rule.path);
+  } catch {
+    return 'has an invalid path';
+  }
+  const operator = OPERATORS_BY_VALUE.get(rule.operator);
+  if (!operator) {
+    return `operator must be one of ${RULE_OPERATORS.map(candidate => candidate.value).join(', ')}`;
+  }
+  if (!Object.values(RULE_ACTIONS).includes(rule.action)) {
+    return `action must be one of ${Object.values(RULE_ACTIONS).join(', ')}`;
+  }
+  if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+    return 'enabled must be true or false';
+  }
+  return operator.needsValue ? validateRuleValue(rule) : null;
+}
+
+export function validateResponseRules(rules) {
+  return rules
+    .map((rule, index) => {
+      const error = validateResponseRule(rule);
+      return error ? `rule ${index + 1} ${error}` : null;
+    })
+    .filter(Boolean)
+    .join('; ') || null;
+}
+
+export function hasResponseRules(settings) {
+  return Array.isArray(settings.responseRules) && settings.responseRules.some(rule => rule.enabled !== false);
+}
+
+/**
+ * Evaluates every rule against a parsed body, in order. Each result says whether the rule
+ * matched and what value its path found; invalid rules report `error` instead of matching.
+ */
+export function testResponseRules(data, rules) {
+  return rules.map(rule => {
+    const error = validateResponseRule(rule);
+    if (error) {
+      return { rule, matched: false, value: undefined, error };
+    }
+    const value = getPathValue(data, parseRulePath(rule.path));
+    return { rule, matched: rule.enabled !== false && matchesOperator(rule, value), value, error: null };
+  });
+}
+
+// The first enabled rule that matches decides; returns `{ rule, value }` or null.
+export function evaluateResponseRules(data, rules) {
+  return testResponseRules(data, rules).find(result => result.matched) ?? null;
+}
+
+export function createResponseRuleError(rule, value) {
+  const found = value === undefined ? 'nothing' : toText(value).slice(0, MAX_FOUND_LENGTH);
+  const error = new Error(`Response rule matched: ${describeRule(rule)} (found ${found})`);
+  error.name = 'ResponseRuleError';
+  error.rule = rule;
+  if (rule.action === RULE_ACTIONS.FAIL) {
+    error.retryable = false;
+  }
+  return error;
+}
+
+export function createResponseRule() {
+  return { enabled: true, path: 'choices[0].message.content', operator: 'length-below', value: '1', action: 'retry' };
+}
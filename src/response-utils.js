@@ -0,0 +1,33 @@
+export function isEventStream(response) {
+  const contentType = response.headers.get('content-type');
+  return Boolean(response.body && contentType && contentType.includes('text/event-stream'));
+}
+
+// A constructed Response loses the original's url and redirected flag, which callers may still read.
+export function createWrappedResponse(stream, original) {
+  const wrapped = new Response(stream, {
+    status: original.status,
+    statusText: original.statusText,
+    headers: original.headers,
+  });
+  Object.defineProperty(wrapped, 'url', { value: original.url });
+  Object.defineProperty(wrapped, 'redirected', { value: original.redirected });
+  return wrapped;
+}
+
+/**
+ * Reads a copy of the body as `format` ('json' or 'text'). Error responses are not watched by
+ * the attempt's timeouts, so a server that sends headers and then stalls would otherwise hang
+ * the retry loop; the read gives up after `timeoutMs` with a TimeoutError instead.
+ */
+export function readBodyCopy(response, format, timeoutMs) {
+  const copy = response.clone();
+  let timeoutId;
+  const timeoutPromise = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => {
+      const error = new DOMException(`Error body not received within ${timeoutMs}ms`, 'TimeoutError');
+      reject(Object.assign(error, { reason: 'error body', timeout: timeoutMs }));
+    }, timeoutMs);
+  });
+  return Promise.race([copy[format](), timeoutPromise]).finally(() => clearTimeout(timeoutId));
+}
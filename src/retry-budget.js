@@ -0,0 +1,65 @@
+const WINDOW_MS = 60000;
+const PERCENT = 100;
+
+// Timestamps of requests and retries within the last minute, oldest first.
+const requestTimes = [];
+const retryTimes = [];
+
+function prune(times, now) {
+  const firstKept = times.findIndex(time => now - time < WINDOW_MS);
+  times.splice(0, firstKept === -1 ? times.length : firstKept);
+}
+
+/**
+ * Retries allowed in the current minute: a share of the requests seen, never below the
+ * minimum, and capped per minute. Infinity when neither limit is set.
+ */
+function getAllowedRetries(settings) {
+  let allowed = Infinity;
+  if (settings.retryBudgetPercent > 0) {
+    allowed = Math.max(
+      settings.retryBudgetMinRetries,
+      Math.floor(requestTimes.length * settings.retryBudgetPercent / PERCENT),
+    );
+  }
+  if (settings.retryBudgetPerMinute > 0) {
+    allowed = Math.min(allowed, settings.retryBudgetPerMinute);
+  }
+  return allowed;
+}
+
+export function recordBudgetRequest() {
+  const now = Date.now();
+  prune(requestTimes, now);
+  requestTimes.push(now);
+}
+
+/**
+ * Takes one retry from the global budget shared by all requests. Returns false, without
+ * spending anything, when the budget for the last minute is used up.
+ */
+export function spendRetryBudget(settings) {
+  const now = Date.now();
+  prune(requestTimes, now);
+  prune(retryTimes, now);
+  if (retryTimes.length >= getAllowedRetries(settings)) {
+    return false;
+  }
+  retryTimes.push(now);
+  return true;
+}
+
+export function getRetryBudgetState(settings) {
+  const now = Date.now();
+  prune(requestTimes, now);
+  prune(retryTimes, now);
+  return { requests: requestTimes.length, retries: retryTimes.length, allowed: getAllowedRetries(settings) };
+}
+
+export function createRetryBudgetError(cause) {
+  const error = new Error(`Retry budget exhausted, not retrying: ${cause.message}`);
+  error.name = 'RetryBudgetError';
+  error.cause = cause;
+  error.status = cause.status;
+  return error;
+}
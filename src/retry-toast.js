@@ -0,0 +1,99 @@
+const TICK_MS = 250;
+const MS_PER_SECOND = 1000;
+
+function createToastButton(text, onClick) {
+  const button = document.createElement('div');
+  button.classList.add('menu_button');
+  button.textContent = text;
+  button.addEventListener('click', event => {
+    // Clicks would otherwise reach toastr and dismiss the toast.
+    event.stopPropagation();
+    onClick();
+  });
+  return button;
+}
+
+/**
+ * One persistent toast per request that is updated in place for every retry: the attempt,
+ * the reason and a live countdown, with "Retry now" to skip the wait and "Give up" to abort
+ * the request. Falls back to console logging when toastr is not available.
+ */
+export function createRetryToast(onGiveUp) {
+  let toast = null;
+  let timer = null;
+  let skipWait = null;
+
+  const heading = document.createElement('div');
+  const countdown = document.createElement('small');
+  const retryNowButton = createToastButton('Retry now', () => skipWait?.());
+  const buttons = document.createElement('div');
+  buttons.classList.add('fetch-retry-toast-buttons');
+  buttons.append(retryNowButton, createToastButton('Give up', onGiveUp));
+  const content = document.createElement('div');
+  content.classList.add('fetch-retry-toast');
+  content.append(heading, countdown, buttons);
+
+  const stopCountdown = () => {
+    clearInterval(timer);
+    timer = null;
+    skipWait = null;
+  };
+
+  const ensureToast = () => {
+    if (toast || typeof toastr === 'undefined') {
+      return;
+    }
+    toast = toastr.info(' ', 'Fetch Retry', {
+      timeOut: 0,
+      extendedTimeOut: 0,
+      tapToDismiss: false,
+      closeButton: false,
+    });
+    toast?.find('.toast-message').empty().append(content);
+  };
+
+  // `describe` turns the whole seconds left into the countdown text.
+  const startCountdown = (title, delay, describe, onRetryNow) => {
+    stopCountdown();
+    heading.textContent = title;
+    ensureToast();
+
+    const dueAt = Date.now() + delay;
+    const tick = () => {
+      countdown.textContent = describe(Math.ceil(Math.max(0, dueAt - Date.now()) / MS_PER_SECOND));
+    };
+    skipWait = onRetryNow;
+    retryNowButton.hidden = false;
+    timer = setInterval(tick, TICK_MS);
+    tick();
+  };
+
+  return {
+    // Counts down to the next attempt; `onRetryNow` is called if the user skips the wait.
+    showCountdown({ retryNumber, maxRetries, reason, delay, onRetryNow }) {
+      console.log(`[Fetch Retry] Retry toast shown: retry ${retryNumber}/${maxRetries}`);
+      startCountdown(`Retry ${retryNumber}/${maxRetries}: ${reason}`, delay, seconds => `Next attempt in ${seconds}s`,
+        onRetryNow);
+    },
+
+    // Shown while retries are paused until the network comes back.
+    showOffline({ maxWait, onRetryNow }) {
+      console.log('[Fetch Retry] Retry toast shown: waiting for network');
+      startCountdown('Waiting for network…', maxWait, seconds => `Giving up in ${seconds}s`, onRetryNow);
+    },
+
+    showAttempt(attemptNumber, maxAttempts) {
+      stopCountdown();
+      countdown.textContent = `Attempt ${attemptNumber}/${maxAttempts} in progress…`;
+      retryNowButton.hidden = true;
+    },
+
+    close() {
+      stopCountdown();
+      if (toast) {
+        toastr.clear(toast, { force: true });
+        toast = null;
+      }
+    },
+  };
+}
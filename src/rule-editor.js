@@ -0,0 +1,221 @@
+import { incrementSettingsVersion } from './settings.js';
+import { createIconButton } from './profile-editor.js';
+import {
+  RULE_ACTIONS,
+  RULE_OPERATORS,
+  createResponseRule,
+  describeRule,
+  testResponseRules,
+  validateResponseRule,
+} from './response-rules.js';
+
+const MAX_SHOWN_VALUE_LENGTH = 80;
+
+function saveRules(rules, settings, context, logger) {
+  settings.responseRules = rules;
+  incrementSettingsVersion(settings);
+  context.saveSettingsDebounced();
+  logger.debug(`Response rules saved: ${JSON.stringify(rules)}`);
+}
+
+function getRules(settings) {
+  return Array.isArray(settings.responseRules) ? settings.responseRules : [];
+}
+
+function createSelect(options, value, title) {
+  const select = document.createElement('select');
+  select.classList.add('text_pole');
+  select.title = title;
+  options.forEach(option => {
+    const optionElement = document.createElement('option');
+    optionElement.value = option.value;
+    optionElement.textContent = option.label;
+    select.appendChild(optionElement);
+  });
+  select.value = value;
+  return select;
+}
+
+function createTextInput(value, placeholder) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.classList.add('text_pole');
+  input.placeholder = placeholder;
+  input.value = value ?? '';
+  return input;
+}
+
+// Invalid edits are flagged on the row and not saved until they are fixed.
+function createRuleRow(rule, index, actions) {
+  const row = document.createElement('div');
+  row.classList.add('fetch-retry-rule');
+
+  const enabledInput = document.createElement('input');
+  enabledInput.type = 'checkbox';
+  enabledInput.title = 'Enable this rule';
+  enabledInput.checked = rule.enabled !== false;
+
+  const pathInput = createTextInput(rule.path, 'Path, e.g. choices[0].message.content');
+  const operatorSelect = createSelect(RULE_OPERATORS, rule.operator, 'Operator');
+  const valueInput = createTextInput(rule.value, 'Value');
+  const actionSelect = createSelect(
+    Object.values(RULE_ACTIONS).map(action => ({ value: action, label: action })),
+    rule.action,
+    'Action',
+  );
+
+  const update = () => {
+    const operator = RULE_OPERATORS.find(candidate => candidate.value === operatorSelect.value);
+    valueInput.hidden = !operator.needsValue;
+    const updated = {
+      enabled: enabledInput.checked,
+      path: pathInput.value.trim(),
+      operator: operator.value,
+      action: actionSelect.value,
+      ...(operator.needsValue ? { value: valueInput.value } : {}),
+    };
+    const validationError = validateResponseRule(updated);
+    row.classList.toggle('error', Boolean(validationError));
+    row.title = validationError ?? describeRule(updated);
+    if (!validationError) {
+      actions.update(index, updated);
+    }
+  };
+
+  [enabledInput, pathInput, operatorSelect, valueInput, actionSelect].forEach(input => {
+    input.addEventListener('change', update);
+  });
+  valueInput.hidden = !RULE_OPERATORS.find(candidate => candidate.value === rule.operator)?.needsValue;
+  row.title = describeRule(rule);
+
+  row.append(
+    enabledInput,
+    pathInput,
+    operatorSelect,
+    valueInput,
+    actionSelect,
+    createIconButton('fa-arrow-up', 'Move up', () => actions.move(index, -1)),
+    createIconButton('fa-arrow-down', 'Move down', () => actions.move(index, 1)),
+    createIconButton('fa-trash', 'Delete rule', () => actions.remove(index)),
+  );
+  return row;
+}
+
+function describeFoundValue(value) {
+  if (value === undefined) {
+    return 'nothing';
+  }
+  const text = JSON.stringify(value);
+  return text.length > MAX_SHOWN_VALUE_LENGTH ? `${text.slice(0, MAX_SHOWN_VALUE_LENGTH)}…` : text;
+}
+
+function renderTestResults(output, text, settings) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    output.replaceChildren(`Not valid JSON: ${err.message}`);
+    return;
+  }
+
+  const results = testResponseRules(data, getRules(settings));
+  const winner = results.find(result => result.matched);
+  const verdict = document.createElement('div');
+  verdict.classList.add('fetch-retry-rule-verdict');
+  verdict.textContent = winner ?
+    `Rule ${results.indexOf(winner) + 1} decides: ${winner.rule.action}` :
+    'No rule matches; the built-in checks decide.';
+
+  const list = document.createElement('ol');
+  results.forEach(({ rule, matched, value, error }) => {
+    const item = document.createElement('li');
+    item.classList.toggle('matched', matched);
+    if (error) {
+      item.textContent = `invalid: ${error}`;
+    } else if (rule.enabled === false) {
+      item.textContent = `${describeRule(rule)}: disabled`;
+    } else {
+      const state = matched ? 'matches' : 'no match';
+      item.textContent = `${describeRule(rule)}: ${state} (found ${describeFoundValue(value)})`;
+    }
+    list.appendChild(item);
+  });
+  output.replaceChildren(verdict, list);
+}
+
+function createTestBox(settings) {
+  const box = document.createElement('div');
+  box.classList.add('fetch-retry-rule-test');
+
+  const sample = document.createElement('textarea');
+  sample.classList.add('text_pole');
+  sample.rows = 4;
+  sample.placeholder = 'Paste a sample response body (JSON) to see which rule matches';
+
+  const output = document.createElement('div');
+  output.classList.add('fetch-retry-rule-test-output');
+
+  const testButton = document.createElement('div');
+  testButton.classList.add('menu_button');
+  testButton.textContent = 'Test rules';
+  testButton.addEventListener('click', () => renderTestResults(output, sample.value, settings));
+
+  box.append(sample, testButton, output);
+  return box;
+}
+
+export function renderRuleEditor(container, setting, settings, context, logger) {
+  const list = document.createElement('div');
+  list.id = `fetch-retry-${setting.varId}`;
+  list.classList.add('fetch-retry-rule-list');
+
+  const addButton = document.createElement('div');
+  addButton.classList.add('menu_button');
+  addButton.textContent = 'Add rule';
+
+  const render = () => {
+    const rules = getRules(settings);
+    const actions = {
+      update: (index, rule) => {
+        saveRules(getRules(settings).map((current, i) => (i === index ? rule : current)), settings, context, logger);
+      },
+      move: (index, offset) => {
+        const target = index + offset;
+        const reordered = [...getRules(settings)];
+        if (target < 0 || target >= reordered.length) {
+          return;
+        }
+        [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+        saveRules(reordered, settings, context, logger);
+        render();
+      },
+      remove: index => {
+        saveRules(getRules(settings).filter((_, i) => i !== index), settings, context, logger);
+        render();
+      },
+    };
+
+    list.replaceChildren(...rules.map((rule, index) => createRuleRow(rule, index, actions)));
+    addButton.classList.toggle('disabled', rules.length >= setting.maxRules);
+  };
+
+  addButton.addEventListener('click', () => {
+    const rules = getRules(settings);
+    if (rules.length >= setting.maxRules) {
+      logger.warn(`Cannot add more than ${setting.maxRules} response rules.`);
+      return;
+    }
+    saveRules([...rules, createResponseRule()], settings, context, logger);
+    render();
+  });
+
+  // Dispatched by applyAllSettings when the rules were replaced from outside the editor.
+  list.addEventListener('fetch-retry-refresh', render);
+  render();
+
+  const buttonContainer = document.createElement('div');
+  buttonContainer.classList.add('button-container');
+  buttonContainer.appendChild(addButton);
+
+  container.append(list, buttonContainer, createTestBox(settings));
+}
@@ -0,0 +1,186 @@
+import { SETTINGS_CONFIG } from './settings.js';
+import { PROFILE_SETTINGS } from './profiles.js';
+import { getUrlPatternError } from './url-matcher.js';
+
+export const EXPORT_FORMAT = 'fetch-retry-settings';
+export const EXPORT_VERSION = 1;
+
+const SETTINGS_BY_ID = new Map(SETTINGS_CONFIG.map(setting => [setting.varId, setting]));
+const PROFILE_KEYS = new Set(['name', 'pattern', 'enabled', ...PROFILE_SETTINGS.map(setting => setting.varId)]);
+const DEFAULT_MAX_LINES = 50;
+const DEFAULT_MAX_LINE_LENGTH = 500;
+
+function validateLines(setting, value) {
+  if (!Array.isArray(value) || value.some(line => typeof line !== 'string')) {
+    return 'must be a list of strings';
+  }
+  const maxLines = setting.maxPatterns || DEFAULT_MAX_LINES;
+  if (value.length > maxLines) {
+    return `has ${value.length} entries (max ${maxLines})`;
+  }
+  if (value.some(line => line.length > (setting.maxPatternLength || DEFAULT_MAX_LINE_LENGTH))) {
+    return 'has an entry that is too long';
+  }
+  if (setting.validate) {
+    return setting.validate(value);
+  }
+  for (const pattern of value) {
+    try {
+      RegExp(pattern);
+    } catch {
+      return `has an invalid regex: ${pattern}`;
+    }
+  }
+  return null;
+}
+
+function validateProfile(profile, index) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return [`rule ${index + 1} is not an object`];
+  }
+
+  const problems = [];
+  Object.entries(profile).forEach(([key, value]) => {
+    if (!PROFILE_KEYS.has(key)) {
+      problems.push(`rule ${index + 1} has unknown field "${key}"`);
+    } else if (key === 'name' || key === 'pattern') {
+      if (typeof value !== 'string') {
+        problems.push(`rule ${index + 1} ${key} must be a string`);
+      }
+    } else if (key === 'enabled') {
+      if (typeof value !== 'boolean') {
+        problems.push(`rule ${index + 1} enabled must be true or false`);
+      }
+    } else {
+      const error = validateSettingValue(SETTINGS_BY_ID.get(key), value);
+      if (error) {
+        problems.push(`rule ${index + 1} ${key} ${error}`);
+      }
+    }
+  });
+
+  const patternError = typeof profile.pattern === 'string' ? getUrlPatternError(profile.pattern) : null;
+  if (patternError) {
+    problems.push(`rule ${index + 1} URL pattern: ${patternError}`);
+  }
+  return problems;
+}
+
+function validateRuleList(value, maxRules, validateRules) {
+  if (!Array.isArray(value)) {
+    return 'must be a list of rules';
+  }
+  if (value.length > maxRules) {
+    return `has ${value.length} rules (max ${maxRules})`;
+  }
+  return validateRules(value);
+}
+
+/**
+ * Checks a value against its SETTINGS_CONFIG entry without coercing it. Returns a short
+ * description of the problem (to follow the setting name), or null if the value is valid.
+ */
+export function validateSettingValue(setting, value) {
+  switch (setting.type) {
+    case 'checkbox':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'slider':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return 'must be a number';
+      }
+      if (value < setting.min || value > setting.max) {
+        return `${value} is out of range (${setting.min}–${setting.max})`;
+      }
+      return null;
+    case 'select':
+      return setting.options.some(option => option.value === value) ?
+        null :
+        `must be one of ${setting.options.map(option => option.value).join(', ')}`;
+    case 'text':
+      if (typeof value !== 'string') {
+        return 'must be a string';
+      }
+      return setting.validate ? setting.validate(value) : null;
+    case 'textarea':
+      return validateLines(setting, value);
+    case 'rules':
+      return validateRuleList(value, setting.maxRules, rules => setting.validate(rules));
+    case 'profiles':
+      return validateRuleList(
+        value,
+        setting.maxProfiles,
+        profiles => profiles.flatMap(validateProfile).join('; ') || null,
+      );
+    default:
+      return null;
+  }
+}
+
+/**
+ * Splits imported values into the ones that can be applied and a list of problems. Unknown
+ * keys and invalid or out-of-range values are left out and reported, never coerced.
+ */
+export function validateImportedSettings(values) {
+  const valid = {};
+  const problems = [];
+
+  Object.entries(values).forEach(([key, value]) => {
+    const setting = SETTINGS_BY_ID.get(key);
+    if (!setting) {
+      problems.push(`Unknown setting "${key}"`);
+      return;
+    }
+    const error = validateSettingValue(setting, value);
+    if (error) {
+      problems.push(`${setting.displayText} (${key}) ${error}`);
+    } else {
+      valid[key] = value;
+    }
+  });
+
+  return { valid, problems };
+}
+
+/**
+ * Parses an exported file. Accepts the export envelope or a bare object of settings, and
+ * returns `{ name, valid, problems }` where `name` is the preset name if the file had one.
+ */
+export function parseSettingsFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { name: null, valid: {}, problems: [`Not valid JSON: ${err.message}`] };
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { name: null, valid: {}, problems: ['Expected a JSON object of settings'] };
+  }
+
+  const problems = [];
+  let values = data;
+  if (data.format === EXPORT_FORMAT) {
+    if (data.version > EXPORT_VERSION) {
+      problems.push(`File was exported by a newer version (format ${data.version}); some settings may be skipped`);
+    }
+    values = data.settings && typeof data.settings === 'object' ? data.settings : {};
+  }
+
+  const result = validateImportedSettings(values);
+  const name = typeof data.name === 'string' && data.name.trim().length > 0 ? data.name.trim() : null;
+  return { name, valid: result.valid, problems: [...problems, ...result.problems] };
+}
+
+export function createSettingsExport(values, name = null) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    ...(name ? { name } : {}),
+    exportedAt: new Date().toISOString(),
+    settings: values,
+  };
+}
+
+export function pickConfigValues(settings, keys = SETTINGS_CONFIG.map(setting => setting.varId)) {
+  return Object.fromEntries(keys.map(key => [key, structuredClone(settings[key])]));
+}
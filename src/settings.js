@@ -1,3 +1,10 @@
+import { validateStatusCodeList } from './status-codes.js';
+import { validateFailoverTargets } from './failover.js';
+import { validateResponseRules } from './response-rules.js';
+import { SEED_MODES } from './body-mutation.js';
+import { BACKOFF_STRATEGIES } from './backoff.js';
+import { validateMethodList } from './request-methods.js';
+
 export const SETTINGS_CONFIG = [
   {
     type: 'checkbox',
@@ -14,6 +21,7 @@ export const SETTINGS_CONFIG = [
     min: 0,
     max: 10,
     step: 1,
+    perProfile: true,
     description: 'The maximum number of times to retry a failed fetch request.',
   },
   {
@@ -24,7 +32,9 @@ export const SETTINGS_CONFIG = [
     min: 100,
     max: 60000,
     step: 100,
-    description: 'The base delay in milliseconds before retrying a failed request. Uses exponential backoff.',
+    perProfile: true,
+    description: 'The base delay in milliseconds before retrying a failed request. Grows with each retry ' +
+      'according to the backoff strategy.',
   },
   {
     type: 'slider',
@@ -34,31 +44,572 @@ export const SETTINGS_CONFIG = [
     min: 1000,
     max: 60000,
     step: 1000,
-    description: 'Specific delay in milliseconds for 429 (Too Many Requests) errors.',
+    perProfile: true,
+    description: 'Base delay in milliseconds for 429 (Too Many Requests) and other rate-limit errors. ' +
+      'Follows the same backoff strategy.',
+  },
+  {
+    type: 'select',
+    varId: 'backoffStrategy',
+    displayText: 'Backoff Strategy',
+    default: BACKOFF_STRATEGIES.EXPONENTIAL,
+    options: [
+      { value: BACKOFF_STRATEGIES.FIXED, label: 'Fixed: the base delay every time' },
+      { value: BACKOFF_STRATEGIES.LINEAR, label: 'Linear: base × retry number' },
+      { value: BACKOFF_STRATEGIES.EXPONENTIAL, label: 'Exponential: base × multiplier^retry' },
+      { value: BACKOFF_STRATEGIES.FULL_JITTER, label: 'Full jitter: random up to the exponential delay' },
+      { value: BACKOFF_STRATEGIES.DECORRELATED, label: 'Decorrelated jitter: random, from the previous delay' },
+    ],
+    perProfile: true,
+    description: 'How the delay grows between retries. The jitter strategies spread out clients that failed ' +
+      'at the same moment.',
+  },
+  {
+    type: 'slider',
+    varId: 'backoffMultiplier',
+    displayText: 'Backoff Multiplier',
+    default: 1.2,
+    min: 1,
+    max: 4,
+    step: 0.1,
+    perProfile: true,
+    description: 'Growth factor per retry for the exponential and jitter strategies.',
+  },
+  {
+    type: 'slider',
+    varId: 'backoffJitter',
+    displayText: 'Backoff Jitter',
+    default: 0.1,
+    min: 0,
+    max: 0.5,
+    step: 0.05,
+    perProfile: true,
+    description: 'Random spread around the fixed, linear and exponential delays; 0.1 means ±10%.',
+  },
+  {
+    type: 'slider',
+    varId: 'maxRetryDelay',
+    displayText: 'Maximum Retry Delay (ms)',
+    default: 30000,
+    min: 1000,
+    max: 600000,
+    step: 1000,
+    perProfile: true,
+    description: 'Upper limit for the backoff delay, whatever the strategy.',
+  },
+  {
+    type: 'slider',
+    varId: 'maxServerDelay',
+    displayText: 'Maximum Server-Requested Delay (ms)',
+    default: 30000,
+    min: 1000,
+    max: 600000,
+    step: 1000,
+    perProfile: true,
+    description: 'Longest wait accepted from Retry-After, retry-after-ms and the OpenAI and Anthropic ' +
+      'rate-limit reset headers. When present, these replace the backoff delay.',
   },
   {
     type: 'slider',
     varId: 'thinkingTimeout',
-    displayText: 'AI Thinking Timeout (ms)',
+    displayText: 'First-Byte Timeout (ms)',
     default: 300000,
     min: 10000,
     max: 300000,
     step: 10000,
-    description: 'Timeout in milliseconds for the AI reasoning process. If exceeded, the request is retried.',
+    perProfile: true,
+    description: 'Maximum time from sending the request until the first byte of the response body arrives, ' +
+      'which covers the AI thinking before output starts. If exceeded, the request is retried.',
   },
   {
     type: 'checkbox',
     varId: 'enableThinkingTimeout',
-    displayText: 'Enable Thinking Timeout',
+    displayText: 'Enable First-Byte Timeout',
     default: false,
-    description: 'Enable or disable the thinking timeout. When disabled, requests will not be interrupted.',
+    perProfile: true,
+    description: 'Enable or disable the first-byte timeout. When disabled, slow-starting requests are not interrupted.',
+  },
+  {
+    type: 'slider',
+    varId: 'streamIdleTimeout',
+    displayText: 'Idle Timeout Between Chunks (ms)',
+    default: 120000,
+    min: 5000,
+    max: 600000,
+    step: 5000,
+    perProfile: true,
+    description: 'Maximum silence between chunks of a streaming (text/event-stream) response.',
+  },
+  {
+    type: 'checkbox',
+    varId: 'enableStreamIdleTimeout',
+    displayText: 'Enable Idle Timeout',
+    default: false,
+    perProfile: true,
+    description: 'Abort streaming responses that go silent. A stall before the first chunk is retried; ' +
+      'a stall mid-stream ends the stream with a timeout error so the message can be regenerated.',
+  },
+  {
+    type: 'slider',
+    varId: 'totalTimeout',
+    displayText: 'Total Attempt Timeout (ms)',
+    default: 600000,
+    min: 10000,
+    max: 1800000,
+    step: 10000,
+    perProfile: true,
+    description: 'Wall-clock limit for a single attempt, from sending the request until the whole body is received.',
+  },
+  {
+    type: 'checkbox',
+    varId: 'enableHedging',
+    displayText: 'Enable Hedged Requests',
+    default: false,
+    perProfile: true,
+    description: 'Send a parallel copy of an attempt that has not answered in time and use whichever answers ' +
+      'first, aborting the other. Meant for short, non-streaming calls like tokenizers, model lists and status ' +
+      'checks; enable it in a profile for those endpoints.',
+  },
+  {
+    type: 'slider',
+    varId: 'hedgeDelay',
+    displayText: 'Hedge After (ms)',
+    default: 1000,
+    min: 100,
+    max: 30000,
+    step: 100,
+    perProfile: true,
+    description: 'How long to wait for a response before sending a hedge.',
+  },
+  {
+    type: 'slider',
+    varId: 'hedgePercentile',
+    displayText: 'Hedge After Latency Percentile',
+    default: 0,
+    min: 0,
+    max: 99,
+    step: 1,
+    perProfile: true,
+    description: 'Wait for this percentile of the endpoint\'s recorded latency instead (95 hedges the slowest 5% ' +
+      'of requests). Needs statistics and 20 recorded requests, until then the delay above is used; 0 to ' +
+      'always use the delay above.',
+  },
+  {
+    type: 'slider',
+    varId: 'maxHedges',
+    displayText: 'Maximum Hedges',
+    default: 1,
+    min: 1,
+    max: 3,
+    step: 1,
+    perProfile: true,
+    description: 'Extra copies sent per attempt at most, one more each time the wait above passes again.',
+  },
+  {
+    type: 'checkbox',
+    varId: 'enableTotalTimeout',
+    displayText: 'Enable Total Attempt Timeout',
+    default: false,
+    perProfile: true,
+    description: 'Enable or disable the total attempt timeout. Exceeding it before data is returned triggers a retry.',
   },
   {
     type: 'checkbox',
     varId: 'checkResponseErrorField',
     displayText: 'Check for Error Field in Responses',
     default: true,
-    description: 'Retry successful responses (200-299) if they contain an error field with length > 3.',
+    description: 'Inspect successful responses (200-299) for an error body and retry, give up or wait longer ' +
+      'depending on the provider error type.',
+  },
+  {
+    type: 'checkbox',
+    varId: 'classifyErrorResponses',
+    displayText: 'Classify Provider Error Bodies',
+    default: true,
+    description: 'Read the JSON body of retryable error statuses with the OpenAI, Anthropic, Google, OpenRouter, ' +
+      'Mistral and KoboldCpp classifiers. Give-up errors such as insufficient_quota stop retrying; ' +
+      'overloaded or rate-limit errors use the rate limit delay.',
+  },
+  {
+    type: 'rules',
+    varId: 'responseRules',
+    displayText: 'Response Rules',
+    default: [],
+    description: 'Checks on the JSON body of successful responses, applied in order before the checks above. ' +
+      'The first matching rule decides: retry the request, fail it, or pass the response through unchecked.',
+    validate: validateResponseRules,
+    maxRules: 20,
+  },
+  {
+    type: 'text',
+    varId: 'retryStatusCodes',
+    displayText: 'Retry Status Codes',
+    default: '408, 409, 425, 429, 5xx',
+    description: 'HTTP status codes that are retried. Accepts codes (429), ranges (500-504) and classes (5xx).',
+    validate: validateStatusCodeList,
+  },
+  {
+    type: 'text',
+    varId: 'failStatusCodes',
+    displayText: 'Fail-Fast Status Codes',
+    default: '4xx',
+    description: 'Status codes that fail immediately without retrying. The most specific match across all three ' +
+      'lists wins, so 429 above overrides 4xx here.',
+    validate: validateStatusCodeList,
+  },
+  {
+    type: 'text',
+    varId: 'passStatusCodes',
+    displayText: 'Pass-Through Status Codes',
+    default: '',
+    description: 'Status codes returned to the caller untouched, with no retry and no notification.',
+    validate: validateStatusCodeList,
+  },
+  {
+    type: 'text',
+    varId: 'retryMethods',
+    displayText: 'Retried Non-Idempotent Methods',
+    default: 'POST',
+    perProfile: true,
+    description: 'Methods such as POST that change state are only retried if listed here; GET, HEAD, OPTIONS, ' +
+      'PUT and DELETE are always retried. Clear it in a profile for endpoints that must not be replayed; ' +
+      'the default "Chat saves" profile does this for /api/chats/save.',
+    validate: validateMethodList,
+  },
+  {
+    type: 'checkbox',
+    varId: 'sendIdempotencyKey',
+    displayText: 'Send Idempotency-Key',
+    default: false,
+    perProfile: true,
+    description: 'Add an Idempotency-Key header to non-idempotent requests, the same on every attempt, so ' +
+      'servers that support it can recognise a retry as a replay. Cross-origin requests may need CORS to allow it.',
+  },
+  {
+    type: 'checkbox',
+    varId: 'retryOnEmptyResponse',
+    displayText: 'Retry on Empty Response',
+    default: false,
+    perProfile: true,
+    description: 'Retry OpenAI, Claude and Gemini completions (JSON or streamed) that contain no text or tool calls.',
+  },
+  {
+    type: 'checkbox',
+    varId: 'retryOnShortResponse',
+    displayText: 'Retry on Short Response',
+    default: false,
+    perProfile: true,
+    description: 'Retry completions shorter than the minimum length. Streamed output is held back until it ' +
+      'reaches the minimum, so it can still be retried.',
+  },
+  {
+    type: 'slider',
+    varId: 'minResponseLength',
+    displayText: 'Minimum Response Length (chars)',
+    default: 20,
+    min: 1,
+    max: 2000,
+    step: 1,
+    perProfile: true,
+    description: 'Completions with fewer characters than this count as short.',
+  },
+  {
+    type: 'checkbox',
+    varId: 'retryOnFinishReason',
+    displayText: 'Retry on Finish Reason',
+    default: false,
+    perProfile: true,
+    description: 'Retry completions that stop with one of the finish reasons below. Streamed responses are ' +
+      'held back until they end so the reason can be checked, so text no longer appears as it is generated.',
+  },
+  {
+    type: 'text',
+    varId: 'retryFinishReasons',
+    displayText: 'Retry Finish Reasons',
+    default: 'length, max_tokens, content_filter, SAFETY, RECITATION',
+    perProfile: true,
+    description: 'Comma-separated finish_reason / stop_reason / finishReason values (case-insensitive).',
+  },
+  {
+    type: 'textarea',
+    varId: 'failoverTargets',
+    displayText: 'Failover Targets (url | model, one per line)',
+    default: [],
+    perProfile: true,
+    description: 'Ordered backups tried after repeated failures. Each line replaces the request URL (an absolute ' +
+      'http or https URL) and/or the "model" field of a JSON body; leave a side empty to keep the original, ' +
+      'e.g. "| gpt-4o-mini".',
+    validate: validateFailoverTargets,
+    maxPatterns: 10,
+    maxPatternLength: 500,
+  },
+  {
+    type: 'slider',
+    varId: 'failoverAfter',
+    displayText: 'Fail Over After (failures)',
+    default: 2,
+    min: 1,
+    max: 10,
+    step: 1,
+    perProfile: true,
+    description: 'Number of failed attempts on a target before moving to the next one in the failover chain.',
+  },
+  {
+    type: 'checkbox',
+    varId: 'enableBodyMutation',
+    displayText: 'Change Request Body on Retry',
+    default: false,
+    perProfile: true,
+    description: 'Alter JSON chat completion bodies on each retry with the options below, so a retry does not ' +
+      'simply reproduce the same refusal or filter hit. The first attempt is always sent unchanged.',
+  },
+  {
+    type: 'select',
+    varId: 'retrySeedMode',
+    displayText: 'Retry Seed',
+    default: SEED_MODES.OFF,
+    options: [
+      { value: SEED_MODES.OFF, label: 'Keep the original seed' },
+      { value: SEED_MODES.INCREMENT, label: 'Add the retry number' },
+      { value: SEED_MODES.RANDOM, label: 'Random seed' },
+    ],
+    perProfile: true,
+    description: 'How the "seed" field is changed on each retry.',
+  },
+  {
+    type: 'slider',
+    varId: 'retryTemperatureStep',
+    displayText: 'Retry Temperature Step',
+    default: 0,
+    min: 0,
+    max: 0.5,
+    step: 0.05,
+    perProfile: true,
+    description: 'Added to the request\'s temperature for each retry; 0 leaves it unchanged. Requests without ' +
+      'a temperature are not touched.',
+  },
+  {
+    type: 'slider',
+    varId: 'retryMaxTemperature',
+    displayText: 'Retry Temperature Limit',
+    default: 1,
+    min: 0.1,
+    max: 2,
+    step: 0.1,
+    perProfile: true,
+    description: 'The temperature step never raises the temperature above this value.',
+  },
+  {
+    type: 'text',
+    varId: 'retryNudge',
+    displayText: 'Retry Nudge',
+    default: '',
+    perProfile: true,
+    description: 'Message added to the chat on retries, e.g. "Continue the story; stay within the guidelines." ' +
+      'Empty to disable. Text completion prompts get it as an extra line.',
+  },
+  {
+    type: 'select',
+    varId: 'retryNudgeRole',
+    displayText: 'Retry Nudge Role',
+    default: 'system',
+    options: [
+      { value: 'system', label: 'System message' },
+      { value: 'user', label: 'User message' },
+    ],
+    perProfile: true,
+    description: 'Role of the nudge message.',
+  },
+  {
+    type: 'select',
+    varId: 'retryNudgePosition',
+    displayText: 'Retry Nudge Position',
+    default: 'end',
+    options: [
+      { value: 'end', label: 'After the chat (before a prefill)' },
+      { value: 'start', label: 'Before the chat' },
+    ],
+    perProfile: true,
+    description: 'Where the nudge is inserted.',
+  },
+  {
+    type: 'text',
+    varId: 'retryPrefill',
+    displayText: 'Retry Prefill',
+    default: '',
+    perProfile: true,
+    description: 'Assistant prefill used on retries instead of the original one, e.g. "Sure, here is". ' +
+      'Empty to keep the original.',
+  },
+  {
+    type: 'checkbox',
+    varId: 'enableCircuitBreaker',
+    displayText: 'Enable Circuit Breaker',
+    default: false,
+    description: 'Stop sending requests to an upstream that keeps failing. While the breaker is open, requests fail ' +
+      'immediately; after the cooldown a single probe request decides whether it closes again.',
+  },
+  {
+    type: 'select',
+    varId: 'circuitBreakerScope',
+    displayText: 'Circuit Breaker Scope',
+    default: 'host',
+    options: [
+      { value: 'host', label: 'One breaker per host' },
+      { value: 'profile', label: 'One breaker per retry profile' },
+    ],
+    description: 'Requests that match no retry profile are tracked per host.',
+  },
+  {
+    type: 'slider',
+    varId: 'circuitFailureRate',
+    displayText: 'Circuit Failure Rate (%)',
+    default: 50,
+    min: 10,
+    max: 100,
+    step: 5,
+    description: 'Open the breaker when at least this share of recent requests failed after all their retries.',
+  },
+  {
+    type: 'slider',
+    varId: 'circuitMinRequests',
+    displayText: 'Circuit Minimum Requests',
+    default: 5,
+    min: 1,
+    max: 50,
+    step: 1,
+    description: 'Number of requests a breaker must have seen before its failure rate is considered.',
+  },
+  {
+    type: 'slider',
+    varId: 'circuitWindowSize',
+    displayText: 'Circuit Window (requests)',
+    default: 10,
+    min: 2,
+    max: 100,
+    step: 1,
+    description: 'How many of the most recent requests the failure rate is computed over.',
+  },
+  {
+    type: 'slider',
+    varId: 'circuitCooldown',
+    displayText: 'Circuit Cooldown (ms)',
+    default: 30000,
+    min: 5000,
+    max: 600000,
+    step: 1000,
+    description: 'How long an open breaker fails requests fast before letting a probe through.',
+  },
+  {
+    type: 'checkbox',
+    varId: 'enableRateLimiter',
+    displayText: 'Enable Client-Side Rate Limiter',
+    default: false,
+    description: 'Throttle requests before they are sent instead of only reacting to 429s. Requests over the ' +
+      'limits below wait in a first-in, first-out queue; aborting a request takes it out of the queue.',
+  },
+  {
+    type: 'select',
+    varId: 'rateLimiterScope',
+    displayText: 'Rate Limiter Scope',
+    default: 'host',
+    options: [
+      { value: 'host', label: 'One limiter per host' },
+      { value: 'profile', label: 'One limiter per retry profile' },
+    ],
+    description: 'Requests that match no retry profile are limited per host.',
+  },
+  {
+    type: 'slider',
+    varId: 'requestsPerMinute',
+    displayText: 'Requests per Minute',
+    default: 0,
+    min: 0,
+    max: 600,
+    step: 1,
+    perProfile: true,
+    description: 'Maximum attempts sent per minute, retries included; 0 for no limit.',
+  },
+  {
+    type: 'slider',
+    varId: 'rateLimitBurst',
+    displayText: 'Rate Limit Burst',
+    default: 1,
+    min: 1,
+    max: 50,
+    step: 1,
+    perProfile: true,
+    description: 'How many attempts may go out back to back before the per-minute pacing applies.',
+  },
+  {
+    type: 'slider',
+    varId: 'maxConcurrentRequests',
+    displayText: 'Max Concurrent Requests',
+    default: 0,
+    min: 0,
+    max: 20,
+    step: 1,
+    perProfile: true,
+    description: 'Requests in progress at once, counting from sending until the response arrives (a stream ' +
+      'frees its slot when it starts); 0 for no limit.',
+  },
+  {
+    type: 'checkbox',
+    varId: 'enableRetryBudget',
+    displayText: 'Enable Retry Budget',
+    default: false,
+    description: 'Cap retries across all requests to prevent retry storms during an outage. Once the budget ' +
+      'for the last minute is spent, failures are reported straight away instead of being retried.',
+  },
+  {
+    type: 'slider',
+    varId: 'retryBudgetPercent',
+    displayText: 'Retry Budget (% of Requests)',
+    default: 20,
+    min: 0,
+    max: 100,
+    step: 5,
+    description: 'Retries allowed per minute as a share of the requests made in that minute; 0 for no ' +
+      'share limit.',
+  },
+  {
+    type: 'slider',
+    varId: 'retryBudgetMinRetries',
+    displayText: 'Retry Budget Minimum',
+    default: 5,
+    min: 0,
+    max: 50,
+    step: 1,
+    description: 'Retries per minute that are always allowed under the percentage, so a few requests can ' +
+      'still be retried when traffic is low.',
+  },
+  {
+    type: 'slider',
+    varId: 'retryBudgetPerMinute',
+    displayText: 'Retry Budget per Minute',
+    default: 0,
+    min: 0,
+    max: 200,
+    step: 1,
+    description: 'Hard cap on retries per minute across all requests; 0 for no cap.',
+  },
+  {
+    type: 'checkbox',
+    varId: 'pauseWhenOffline',
+    displayText: 'Pause Retries While Offline',
+    default: true,
+    description: 'When a request fails while the browser reports no network, wait for the connection to come ' +
+      'back and then send it again, without using up a retry.',
+  },
+  {
+    type: 'slider',
+    varId: 'maxOfflineWait',
+    displayText: 'Maximum Offline Wait (ms)',
+    default: 300000,
+    min: 10000,
+    max: 1800000,
+    step: 10000,
+    description: 'How long a request may wait for the network in total before it fails.',
   },
   {
     type: 'checkbox',
@@ -67,6 +618,23 @@ export const SETTINGS_CONFIG = [
     default: true,
     description: 'Display a notification if all fetch retries fail.',
   },
+  {
+    type: 'slider',
+    varId: 'activityLogSize',
+    displayText: 'Activity Log Size',
+    default: 25,
+    min: 0,
+    max: 200,
+    step: 5,
+    description: 'Number of recent requests shown in the Activity section. Kept in memory only; 0 turns it off.',
+  },
+  {
+    type: 'checkbox',
+    varId: 'collectStats',
+    displayText: 'Collect Statistics',
+    default: true,
+    description: 'Keep per-endpoint counts of successes, retries and failures, and latency percentiles, across sessions.',
+  },
   {
     type: 'checkbox',
     varId: 'debugMode',
@@ -74,6 +642,15 @@ export const SETTINGS_CONFIG = [
     default: false,
     description: 'Prints verbose logs to the browser console (F12) to help diagnose retry issues.',
   },
+  {
+    type: 'checkbox',
+    varId: 'interceptXhr',
+    displayText: 'Retry XMLHttpRequest and $.ajax',
+    default: false,
+    description: 'Also retry requests made with XMLHttpRequest, including jQuery $.ajax, using the URL filter, ' +
+      'status codes, backoff and notifications. Their handlers only see the final attempt. Timeouts, body ' +
+      'checks, failover and the other fetch-only features do not apply.',
+  },
   {
     type: 'select',
     varId: 'urlFilterMode',
@@ -94,6 +671,17 @@ export const SETTINGS_CONFIG = [
     maxPatterns: 50,
     maxPatternLength: 500,
   },
+  {
+    type: 'profiles',
+    varId: 'retryProfiles',
+    displayText: 'Endpoint Retry Profiles',
+    // Saving a chat overwrites it, so a replayed save can clobber edits made after the first one.
+    default: [{ name: 'Chat saves', pattern: '/api/chats/(group/)?save', enabled: true, retryMethods: '' }],
+    description: 'Ordered rules with their own retry settings. The first rule whose URL pattern matches wins, ' +
+      'even for URLs the include patterns above leave out (excluded URLs are never retried); unmatched requests ' +
+      'use the settings above.',
+    maxProfiles: 20,
+  },
 ];
 
 function generateDefaultSettings() {
@@ -115,9 +703,9 @@ export function loadSettings(saved, target) {
         target[varId] = Boolean(loadedValue);
       } else if (type === 'slider') {
         target[varId] = Number(loadedValue);
-      } else if (type === 'textarea') {
+      } else if (type === 'textarea' || type === 'profiles' || type === 'rules') {
         target[varId] = Array.isArray(loadedValue) ? loadedValue : defaultValue;
-      } else if (type === 'select') {
+      } else if (type === 'select' || type === 'text') {
         target[varId] = String(loadedValue);
       } else {
         target[varId] = loadedValue;
@@ -156,6 +744,14 @@ export function getSettingsReference(context, settingsKey, logger) {
     settings.urlPatterns = settings.urlPatterns.slice(0, 50);
   }
 
+  if (!Array.isArray(settings.retryProfiles)) {
+    logger.warn('Retry profiles are not a list, resetting to defaults.');
+    settings.retryProfiles = structuredClone(DEFAULT_SETTINGS.retryProfiles);
+  } else if (settings.retryProfiles.length > 20) {
+    logger.warn(`Retry profiles exceed limit (${settings.retryProfiles.length}/20), truncating.`);
+    settings.retryProfiles = settings.retryProfiles.slice(0, 20);
+  }
+
   return settings;
 }
 
@@ -0,0 +1,256 @@
+import { SETTINGS_CONFIG, incrementSettingsVersion } from './settings.js';
+import { validateSettingValue } from './settings-io.js';
+import { applySettingsValues, getPresets } from './presets.js';
+import { BREAKER_STATES, getBreakerStates } from './circuit-breaker.js';
+import { getPercentile, getStats } from './stats.js';
+import { getRetryBudgetState } from './retry-budget.js';
+import { showSettingsToast } from './toast.js';
+
+const COMMAND_NAME = 'fetchretry';
+const SETTINGS_BY_ID = new Map(SETTINGS_CONFIG.map(setting => [setting.varId, setting]));
+
+const HELP_TEXT = `
+<div>Controls Fetch Retry. Subcommands:</div>
+<ul>
+  <li><code>/fetchretry on</code> or <code>off</code>: enable or disable retries</li>
+  <li><code>/fetchretry set maxRetries=3 retryDelay=2000</code>: change settings; quote values with spaces,
+    e.g. <code>retryStatusCodes="429, 5xx"</code>; lists take a JSON array</li>
+  <li><code>/fetchretry preset Conservative</code>: apply a preset</li>
+  <li><code>/fetchretry status</code>: current settings, open circuit breakers and the retry budget</li>
+  <li><code>/fetchretry stats</code>: collected statistics</li>
+</ul>
+<div>Returns the result as text. <code>quiet=true</code> suppresses the confirmation toast.</div>
+`;
+
+const TOP_FAILURE_REASONS = 3;
+const TRUE_WORDS = ['true', 'on', 'yes', '1'];
+const FALSE_WORDS = ['false', 'off', 'no', '0'];
+
+function parseBoolean(raw) {
+  const word = raw.toLowerCase();
+  if (TRUE_WORDS.includes(word)) {
+    return true;
+  }
+  return FALSE_WORDS.includes(word) ? false : raw;
+}
+
+function parseSettingValue(setting, raw) {
+  switch (setting.type) {
+    case 'checkbox':
+      return parseBoolean(raw);
+    case 'slider':
+      return raw.trim() === '' ? NaN : Number(raw);
+    case 'textarea':
+    case 'profiles':
+    case 'rules':
+      try {
+        return JSON.parse(raw);
+      } catch {
+        return raw;
+      }
+    default:
+      return raw;
+  }
+}
+
+function unquote(value) {
+  return /^(["']).*\1$/s.test(value) ? value.slice(1, -1) : value;
+}
+
+// A single assignment takes the rest of the line as its value, so `set retryStatusCodes=429, 5xx` works unquoted.
+function parseAssignments(text) {
+  if ((text.match(/=/g) ?? []).length === 1) {
+    const [key, value] = text.split('=');
+    return [[key.trim(), unquote(value.trim())]];
+  }
+  return [...text.matchAll(/(\w+)\s*=\s*("[^"]*"|'[^']*'|\S+)/g)].map(([, key, value]) => [key, unquote(value)]);
+}
+
+function formatMs(ms) {
+  if (ms === null) {
+    return '–';
+  }
+  return ms >= 1000 ? `${ms / 1000}s` : `${ms}ms`;
+}
+
+function describeRetryBudget(settings) {
+  const { requests, retries, allowed } = getRetryBudgetState(settings);
+  const limit = Number.isFinite(allowed) ? allowed : 'unlimited';
+  return `Retry budget: ${retries}/${limit} retries used in the last minute (${requests} requests).`;
+}
+
+function buildStatusReport(settings) {
+  const timeouts = [
+    settings.enableThinkingTimeout && `first-byte ${formatMs(settings.thinkingTimeout)}`,
+    settings.enableStreamIdleTimeout && `idle ${formatMs(settings.streamIdleTimeout)}`,
+    settings.enableTotalTimeout && `total ${formatMs(settings.totalTimeout)}`,
+  ].filter(Boolean);
+  const openBreakers = getBreakerStates(settings)
+    .filter(breaker => breaker.state !== BREAKER_STATES.CLOSED)
+    .map(breaker => `${breaker.key} (${breaker.state})`);
+
+  return [
+    `Fetch Retry is ${settings.enabled ? 'on' : 'off'}.`,
+    `Retries: ${settings.maxRetries}, delay ${formatMs(settings.retryDelay)}, ` +
+      `rate-limit delay ${formatMs(settings.rateLimitDelay)}.`,
+    `Retry on: ${settings.retryStatusCodes || 'none'}; fail fast on: ${settings.failStatusCodes || 'none'}.`,
+    `Timeouts: ${timeouts.length > 0 ? timeouts.join(', ') : 'off'}.`,
+    `Profiles: ${settings.retryProfiles.filter(profile => profile.enabled !== false).length} enabled.`,
+    settings.enableCircuitBreaker ?
+      `Circuit breakers: ${openBreakers.length > 0 ? openBreakers.join(', ') : 'all closed'}.` :
+      'Circuit breaker: off.',
+    settings.enableRetryBudget ? describeRetryBudget(settings) : 'Retry budget: off.',
+  ].join('\n');
+}
+
+function buildStatsReport() {
+  const { since, endpoints } = getStats();
+  const all = Object.values(endpoints);
+  if (all.length === 0) {
+    return 'No statistics collected yet.';
+  }
+
+  const sum = key => all.reduce((total, stats) => total + stats[key], 0);
+  const failures = {};
+  all.forEach(stats => Object.entries(stats.failures).forEach(([reason, count]) => {
+    failures[reason] = (failures[reason] ?? 0) + count;
+  }));
+  const failed = Object.values(failures).reduce((total, count) => total + count, 0);
+  const latencies = all.flatMap(stats => stats.latencies);
+  const topReasons = Object.entries(failures)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, TOP_FAILURE_REASONS)
+    .map(([reason, count]) => `${reason} ×${count}`);
+
+  return [
+    `Since ${new Date(since).toLocaleString()}: ${sum('requests')} requests to ${all.length} endpoint(s).`,
+    `First try: ${sum('firstTry')}, after retry: ${sum('afterRetry')}, failed: ${failed}, ` +
+      `passed through: ${sum('passed')}, aborted: ${sum('aborted')}, retries: ${sum('retries')}.`,
+    `Latency p50 ${formatMs(getPercentile(latencies, 50))}, p90 ${formatMs(getPercentile(latencies, 90))}.`,
+    topReasons.length > 0 ? `Top failures: ${topReasons.join(', ')}.` : 'No failures.',
+  ].join('\n');
+}
+
+function setSettings(text, settings, context) {
+  const assignments = parseAssignments(text);
+  if (assignments.length === 0) {
+    throw new Error('Usage: /fetchretry set key=value [key=value ...]');
+  }
+
+  const values = {};
+  assignments.forEach(([key, raw]) => {
+    const setting = SETTINGS_BY_ID.get(key);
+    if (!setting) {
+      throw new Error(`Unknown setting "${key}"`);
+    }
+    const value = parseSettingValue(setting, raw);
+    const error = validateSettingValue(setting, value);
+    if (error) {
+      throw new Error(`${key} ${error}`);
+    }
+    values[key] = value;
+  });
+
+  applySettingsValues(values, settings, context);
+  return `Set ${Object.entries(values).map(([key, value]) => `${key}=${JSON.stringify(value)}`).join(', ')}`;
+}
+
+function applyPresetByName(name, settings, context) {
+  const preset = getPresets(context).find(candidate => candidate.name.toLowerCase() === name.toLowerCase());
+  if (!preset) {
+    throw new Error(`Unknown preset "${name}". Available: ${getPresets(context).map(p => p.name).join(', ')}`);
+  }
+  applySettingsValues(preset.settings, settings, context);
+  return `Preset "${preset.name}" applied`;
+}
+
+function setEnabled(enabled, settings, context) {
+  settings.enabled = enabled;
+  incrementSettingsVersion(settings);
+  context.saveSettingsDebounced();
+  return `Fetch Retry ${enabled ? 'enabled' : 'disabled'}`;
+}
+
+// Returns `{ result, changed }`; read-only subcommands leave the settings untouched.
+function runSubcommand(input, settings, context) {
+  const [subcommand] = input.trim().split(/\s+/);
+  const argument = input.trim().slice(subcommand.length).trim();
+
+  switch (subcommand.toLowerCase()) {
+    case 'on':
+    case 'off':
+      return { result: setEnabled(subcommand.toLowerCase() === 'on', settings, context), changed: true };
+    case 'set':
+      return { result: setSettings(argument, settings, context), changed: true };
+    case 'preset':
+      if (argument.length === 0) {
+        throw new Error('Usage: /fetchretry preset <name>');
+      }
+      return { result: applyPresetByName(argument, settings, context), changed: true };
+    case '':
+    case 'status':
+      return { result: buildStatusReport(settings), changed: false };
+    case 'stats':
+      return { result: buildStatsReport(), changed: false };
+    default:
+      throw new Error(`Unknown subcommand "${subcommand}". Use on, off, set, preset, status or stats.`);
+  }
+}
+
+/**
+ * Registers `/fetchretry` through the slash command parser, or the legacy registerSlashCommand
+ * on older SillyTavern versions. `onSettingsChanged` is called after a subcommand changes
+ * settings so the drawer can be brought up to date.
+ */
+export function registerSlashCommands(settings, context, logger, onSettingsChanged) {
+  const callback = (namedArgs, value) => {
+    const quiet = String(namedArgs?.quiet ?? 'false').toLowerCase() === 'true';
+    try {
+      const { result, changed } = runSubcommand(String(value ?? ''), settings, context);
+      if (changed) {
+        onSettingsChanged();
+      }
+      logger.info(`/${COMMAND_NAME}: ${result}`);
+      if (!quiet) {
+        showSettingsToast('info', result);
+      }
+      return result;
+    } catch (err) {
+      logger.warn(`/${COMMAND_NAME} failed: ${err.message}`);
+      showSettingsToast('error', err.message);
+      return '';
+    }
+  };
+
+  const { SlashCommandParser, SlashCommand, SlashCommandArgument, SlashCommandNamedArgument, ARGUMENT_TYPE } = context;
+
+  if (SlashCommandParser?.addCommandObject && SlashCommand?.fromProps) {
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+      name: COMMAND_NAME,
+      callback,
+      returns: 'the result of the subcommand, as text',
+      namedArgumentList: [
+        SlashCommandNamedArgument.fromProps({
+          name: 'quiet',
+          description: 'do not show a toast with the result',
+          typeList: [ARGUMENT_TYPE.BOOLEAN],
+          defaultValue: 'false',
+        }),
+      ],
+      unnamedArgumentList: [
+        SlashCommandArgument.fromProps({
+          description: 'on | off | set key=value … | preset <name> | status | stats',
+          typeList: [ARGUMENT_TYPE.STRING],
+          isRequired: false,
+        }),
+      ],
+      helpString: HELP_TEXT,
+    }));
+    logger.info(`Registered /${COMMAND_NAME} slash command.`);
+  } else if (typeof context.registerSlashCommand === 'function') {
+    context.registerSlashCommand(COMMAND_NAME, callback, [], HELP_TEXT, true, true);
+    logger.info(`Registered /${COMMAND_NAME} slash command (legacy API).`);
+  } else {
+    logger.warn('This SillyTavern version does not expose slash command registration; /fetchretry is unavailable.');
+  }
+}
@@ -0,0 +1,112 @@
+import { getPercentile, getStats, onStatsChange, resetStats } from './stats.js';
+
+const PERCENTILES = [50, 90, 99];
+
+function formatLatency(ms) {
+  return ms === null ? '–' : `${(ms / 1000).toFixed(1)}s`;
+}
+
+function formatShare(count, total) {
+  return total > 0 ? `${count} (${Math.round(count / total * 100)}%)` : String(count);
+}
+
+function getFailureCount(stats) {
+  return Object.values(stats.failures).reduce((sum, count) => sum + count, 0);
+}
+
+function createMetric(label, value) {
+  const metric = document.createElement('div');
+  metric.classList.add('fetch-retry-stat');
+  const valueElement = document.createElement('b');
+  valueElement.textContent = value;
+  const labelElement = document.createElement('small');
+  labelElement.textContent = label;
+  metric.append(valueElement, labelElement);
+  return metric;
+}
+
+function createEndpointCard(key, stats) {
+  const card = document.createElement('div');
+  card.classList.add('fetch-retry-stats-endpoint');
+
+  const title = document.createElement('div');
+  title.classList.add('fetch-retry-stats-key');
+  title.textContent = key;
+  title.title = key;
+
+  const metrics = document.createElement('div');
+  metrics.classList.add('fetch-retry-stats-grid');
+  metrics.append(
+    createMetric('requests', String(stats.requests)),
+    createMetric('first try', formatShare(stats.firstTry, stats.requests)),
+    createMetric('after retry', formatShare(stats.afterRetry, stats.requests)),
+    createMetric('failed', formatShare(getFailureCount(stats), stats.requests)),
+    createMetric('passed through', String(stats.passed)),
+    createMetric('aborted', String(stats.aborted)),
+    createMetric('retries', String(stats.retries)),
+    ...PERCENTILES.map(p => createMetric(`p${p}`, formatLatency(getPercentile(stats.latencies, p)))),
+  );
+
+  card.append(title, metrics);
+
+  const reasons = Object.entries(stats.failures).sort((a, b) => b[1] - a[1]);
+  if (reasons.length > 0) {
+    const failures = document.createElement('small');
+    failures.classList.add('fetch-retry-stats-failures');
+    failures.textContent = `Failures: ${reasons.map(([reason, count]) => `${reason} ×${count}`).join(' · ')}`;
+    card.appendChild(failures);
+  }
+
+  return card;
+}
+
+/**
+ * Dashboard of the persisted per-endpoint statistics, busiest endpoint first. Latency
+ * percentiles cover successful requests, retries included.
+ */
+export function renderStatsPanel(container, settings, logger) {
+  const wrapper = document.createElement('div');
+  wrapper.classList.add('fetch-retry-setting-wrapper');
+
+  const settingRow = document.createElement('div');
+  settingRow.classList.add('setting-row');
+
+  const label = document.createElement('label');
+  label.textContent = 'Statistics';
+
+  const resetButton = document.createElement('div');
+  resetButton.classList.add('menu_button');
+  resetButton.textContent = 'Reset';
+  resetButton.addEventListener('click', () => {
+    if (window.confirm('Reset all Fetch Retry statistics?')) {
+      logger.info('Statistics reset.');
+      resetStats();
+    }
+  });
+
+  settingRow.append(label, resetButton);
+
+  const since = document.createElement('small');
+  const list = document.createElement('div');
+  list.classList.add('fetch-retry-stats-list');
+
+  const render = () => {
+    const stats = getStats();
+    const endpoints = Object.entries(stats.endpoints).sort((a, b) => b[1].requests - a[1].requests);
+    since.textContent = `Collected since ${new Date(stats.since).toLocaleString()}` +
+      `${settings.collectStats ? '' : ' (collection is turned off)'}.`;
+    list.replaceChildren(...endpoints.map(([key, endpoint]) => createEndpointCard(key, endpoint)));
+    if (endpoints.length === 0) {
+      const empty = document.createElement('small');
+      empty.textContent = 'No requests recorded yet.';
+      list.appendChild(empty);
+    }
+    resetButton.classList.toggle('disabled', endpoints.length === 0);
+  };
+
+  onStatsChange(render);
+  render();
+
+  wrapper.append(settingRow, since, list);
+  container.appendChild(wrapper);
+}
@@ -0,0 +1,179 @@
+import { ACTIVITY_OUTCOMES } from './activity.js';
+
+const STATS_KEY = 'FetchRetryStats';
+const MAX_ENDPOINTS = 100;
+// Every sample is written to settings.json, so only enough for stable percentiles are kept.
+const MAX_LATENCY_SAMPLES = 50;
+// Recording does not save right away; changes are written at most this often and when the page is hidden.
+const SAVE_INTERVAL_MS = 30000;
+
+const listeners = new Set();
+let store = null;
+let persist = () => {};
+let saveTimer = null;
+
+function flushStats() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  persist();
+}
+
+function scheduleSave() {
+  if (saveTimer === null) {
+    saveTimer = setTimeout(flushStats, SAVE_INTERVAL_MS);
+  }
+}
+
+function notifyListeners() {
+  listeners.forEach(listener => listener());
+}
+
+function createStore() {
+  return { since: Date.now(), endpoints: {} };
+}
+
+function createEndpointStats() {
+  return {
+    requests: 0,
+    firstTry: 0,
+    afterRetry: 0,
+    passed: 0,
+    aborted: 0,
+    retries: 0,
+    failures: {},
+    latencies: [],
+    lastSeen: 0,
+  };
+}
+
+/**
+ * Attaches the statistics to `extensionSettings` so they are saved with the rest of the
+ * extension's data and survive reloads. Until this is called nothing is recorded.
+ */
+export function initStats(context) {
+  const saved = context.extensionSettings[STATS_KEY];
+  if (!saved || typeof saved !== 'object' || typeof saved.endpoints !== 'object') {
+    context.extensionSettings[STATS_KEY] = createStore();
+  }
+  store = context.extensionSettings[STATS_KEY];
+  persist = () => context.saveSettingsDebounced();
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden' && saveTimer !== null) {
+      flushStats();
+    }
+  });
+}
+
+export function getEndpointKey(url) {
+  try {
+    const parsed = new URL(url, window.location.href);
+    return `${parsed.host}${parsed.pathname}`;
+  } catch {
+    return String(url);
+  }
+}
+
+export function describeFailureReason(error) {
+  if (error.classification) {
+    return `${error.classification.provider} ${error.classification.code ?? error.classification.action}`;
+  }
+  switch (error.name) {
+    case 'TimeoutError':
+      return `${error.reason} timeout`;
+    case 'HttpStatusError':
+      return `HTTP ${error.status}`;
+    case 'IncompleteResponseError':
+      return error.problem.replace(/\s*\(.*\)$/, '');
+    case 'ResponseRuleError':
+      return `rule ${error.rule.path}`;
+    case 'CircuitOpenError':
+      return 'circuit open';
+    case 'RetryBudgetError':
+      return 'retry budget exhausted';
+    case 'OfflineError':
+      return 'offline';
+    case 'AbortError':
+      return 'aborted upstream';
+    default:
+      return error.name === 'TypeError' ? 'network error' : error.name;
+  }
+}
+
+// Evicts the endpoint that has gone longest without a request.
+function evictStaleEndpoint() {
+  const keys = Object.keys(store.endpoints);
+  if (keys.length < MAX_ENDPOINTS) {
+    return;
+  }
+  const stalest = keys.reduce((oldest, key) => (
+    store.endpoints[key].lastSeen < store.endpoints[oldest].lastSeen ? key : oldest
+  ));
+  delete store.endpoints[stalest];
+}
+
+function applyOutcome(key, outcome, error, duration) {
+  const stats = store.endpoints[key];
+  if (outcome === ACTIVITY_OUTCOMES.SUCCESS || outcome === ACTIVITY_OUTCOMES.RETRIED) {
+    stats[outcome === ACTIVITY_OUTCOMES.SUCCESS ? 'firstTry' : 'afterRetry'] += 1;
+    stats.latencies.push(Math.round(duration));
+    stats.latencies.splice(0, Math.max(0, stats.latencies.length - MAX_LATENCY_SAMPLES));
+  } else if (outcome === ACTIVITY_OUTCOMES.PASSED) {
+    stats.passed += 1;
+  } else if (outcome === ACTIVITY_OUTCOMES.ABORTED) {
+    stats.aborted += 1;
+  } else {
+    const reason = error ? describeFailureReason(error) : 'unknown';
+    stats.failures[reason] = (stats.failures[reason] ?? 0) + 1;
+  }
+}
+
+/**
+ * Counts a finished request against its endpoint (host and path). Latency samples are the
+ * total time, retries included, of the most recent successful requests.
+ */
+export function recordRequestStats(url, { outcome, attempts, duration, error = null }) {
+  if (!store) {
+    return;
+  }
+
+  const key = getEndpointKey(url);
+  if (!store.endpoints[key]) {
+    evictStaleEndpoint();
+    store.endpoints[key] = createEndpointStats();
+  }
+
+  const stats = store.endpoints[key];
+  stats.requests += 1;
+  stats.retries += Math.max(0, attempts - 1);
+  stats.lastSeen = Date.now();
+  applyOutcome(key, outcome, error, duration);
+
+  scheduleSave();
+  notifyListeners();
+}
+
+export function getPercentile(samples, percentile) {
+  if (samples.length === 0) {
+    return null;
+  }
+  const sorted = [...samples].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil(percentile / 100 * sorted.length) - 1)];
+}
+
+export function getStats() {
+  return store ?? createStore();
+}
+
+export function resetStats() {
+  if (!store) {
+    return;
+  }
+  Object.assign(store, createStore());
+  flushStats();
+  notifyListeners();
+}
+
+export function onStatsChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,102 @@
+export const STATUS_ACTIONS = Object.freeze({
+  RETRY: 'retry',
+  FAIL: 'fail',
+  PASS: 'pass',
+});
+
+const MIN_STATUS = 100;
+const MAX_STATUS = 599;
+
+function parseStatusToken(token) {
+  const classMatch = /^([1-5])xx$/i.exec(token);
+  if (classMatch) {
+    const base = Number(classMatch[1]) * 100;
+    return [base, base + 99];
+  }
+
+  const rangeMatch = /^(\d{3})-(\d{3})$/.exec(token);
+  if (rangeMatch) {
+    const low = Number(rangeMatch[1]);
+    const high = Number(rangeMatch[2]);
+    return low <= high ? [low, high] : null;
+  }
+
+  if (/^\d{3}$/.test(token)) {
+    const code = Number(token);
+    return [code, code];
+  }
+
+  return null;
+}
+
+export function parseStatusCodeList(value) {
+  const ranges = [];
+  const invalid = [];
+
+  String(value ?? '')
+    .split(/[\s,]+/)
+    .filter(token => token.length > 0)
+    .forEach(token => {
+      const range = parseStatusToken(token);
+      if (range && range[0] >= MIN_STATUS && range[1] <= MAX_STATUS) {
+        ranges.push(range);
+      } else {
+        invalid.push(token);
+      }
+    });
+
+  return { ranges, invalid };
+}
+
+export function validateStatusCodeList(value) {
+  const { invalid } = parseStatusCodeList(value);
+  return invalid.length > 0 ? `Invalid status codes: ${invalid.join(', ')}` : null;
+}
+
+// The narrowest matching range wins, so "429" in one list overrides "4xx" in another.
+// On equal width the lists are consulted in the order retry, fail, pass.
+export function classifyStatus(status, settings) {
+  const lists = [
+    [STATUS_ACTIONS.RETRY, settings.retryStatusCodes],
+    [STATUS_ACTIONS.FAIL, settings.failStatusCodes],
+    [STATUS_ACTIONS.PASS, settings.passStatusCodes],
+  ];
+
+  let bestAction = null;
+  let bestWidth = Infinity;
+
+  for (const [action, value] of lists) {
+    for (const [low, high] of parseStatusCodeList(value).ranges) {
+      if (status >= low && status <= high && high - low < bestWidth) {
+        bestAction = action;
+        bestWidth = high - low;
+      }
+    }
+  }
+
+  if (bestAction) {
+    return bestAction;
+  }
+  return status >= 400 ? STATUS_ACTIONS.FAIL : STATUS_ACTIONS.PASS;
+}
+
+export function describeStatus(response) {
+  const statusText = response.statusText ? `: ${response.statusText}` : '';
+  if (response.status === 429) {
+    return `Rate limited (429)${statusText}`;
+  }
+  if (response.status >= 500) {
+    return `Server error (${response.status})${statusText}`;
+  }
+  if (response.status >= 400) {
+    return `Client error (${response.status})${statusText}`;
+  }
+  return `HTTP ${response.status}${statusText}`;
+}
+
+export function createStatusError(response) {
+  const error = new Error(describeStatus(response));
+  error.name = 'HttpStatusError';
+  error.status = response.status;
+  return error;
+}
@@ -0,0 +1,156 @@
+import { createWrappedResponse } from './response-utils.js';
+
+export const TIMEOUT_REASONS = Object.freeze({
+  FIRST_BYTE: 'first-byte',
+  IDLE: 'idle',
+  TOTAL: 'total',
+});
+
+export function createTimeoutError(reason, timeoutMs, receivedBytes = 0) {
+  let message;
+  if (reason === TIMEOUT_REASONS.FIRST_BYTE) {
+    message = `First-byte timeout: no response data within ${timeoutMs}ms`;
+  } else if (reason === TIMEOUT_REASONS.IDLE) {
+    message = `Idle timeout: no data for ${timeoutMs}ms after ${receivedBytes} bytes`;
+  } else {
+    message = `Total timeout: attempt exceeded ${timeoutMs}ms`;
+  }
+
+  const error = new Error(message);
+  error.name = 'TimeoutError';
+  error.reason = reason;
+  error.timeout = timeoutMs;
+  return error;
+}
+
+export function getAttemptLimits(policy) {
+  return {
+    startedAt: Date.now(),
+    firstByteTimeout: policy.enableThinkingTimeout ? policy.thinkingTimeout : 0,
+    idleTimeout: policy.enableStreamIdleTimeout ? policy.streamIdleTimeout : 0,
+    totalTimeout: policy.enableTotalTimeout ? policy.totalTimeout : 0,
+  };
+}
+
+export function hasBodyLimits(limits) {
+  return Boolean(limits.firstByteTimeout || limits.idleTimeout || limits.totalTimeout);
+}
+
+// Picks whichever enabled limit expires first for the current phase of the attempt.
+function nextTimeout(limits, state) {
+  const now = Date.now();
+  const candidates = [];
+
+  if (limits.firstByteTimeout && state.receivedBytes === 0) {
+    const remaining = limits.startedAt + limits.firstByteTimeout - now;
+    candidates.push([TIMEOUT_REASONS.FIRST_BYTE, remaining, limits.firstByteTimeout]);
+  }
+  if (limits.idleTimeout && state.headersReceived) {
+    candidates.push([TIMEOUT_REASONS.IDLE, limits.idleTimeout, limits.idleTimeout]);
+  }
+  if (limits.totalTimeout) {
+    candidates.push([TIMEOUT_REASONS.TOTAL, limits.startedAt + limits.totalTimeout - now, limits.totalTimeout]);
+  }
+
+  return candidates.reduce((best, candidate) => (!best || candidate[1] < best[1] ? candidate : best), null);
+}
+
+function withTimeout(promise, limits, state, onTimeout) {
+  const next = nextTimeout(limits, state);
+  if (!next) {
+    return promise;
+  }
+
+  const [reason, remaining, configured] = next;
+  let timeoutId;
+  const timeoutPromise = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => {
+      const error = createTimeoutError(reason, configured, state.receivedBytes);
+      reject(error);
+      onTimeout(error);
+    }, Math.max(0, remaining));
+  });
+
+  return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timeoutId));
+}
+
+export function awaitResponseHeaders(fetchPromise, limits, controller) {
+  return withTimeout(fetchPromise, limits, { receivedBytes: 0, headersReceived: false }, () => controller.abort());
+}
+
+/**
+ * Waits for the first body chunk under the attempt's limits and returns a replacement response
+ * whose body keeps enforcing them. A timeout before the first chunk rejects, so the retry loop
+ * can try again; a later one aborts the upstream request and errors the returned stream with a
+ * TimeoutError instead of leaving the reader hanging. Until `isDelivered()` says the caller has
+ * the response, the retry loop is still reading the body itself and retries on that error, so
+ * the user is only told to regenerate once it is theirs.
+ */
+export async function watchResponseBody(response, options) {
+  const { limits, controller, signal, logger, onTimeout, isDelivered = () => true } = options;
+  const reader = response.body.getReader();
+  const state = { receivedBytes: 0, headersReceived: true };
+
+  const cancelUpstream = error => {
+    controller.abort();
+    reader.cancel(error).catch(() => {});
+  };
+
+  const read = () => withTimeout(reader.read(), limits, state, cancelUpstream).then(chunk => {
+    if (!chunk.done) {
+      state.receivedBytes += chunk.value.byteLength;
+    }
+    return chunk;
+  });
+
+  const first = await read();
+  logger.debug(`First body chunk received (${state.receivedBytes} bytes), enforcing attempt limits while streaming.`);
+
+  let streamController = null;
+  const userAbortHandler = () => {
+    logger.debug('User aborted signal received while streaming.');
+    controller.abort();
+    reader.cancel().catch(() => {});
+    streamController?.error(new DOMException('Request aborted by user', 'AbortError'));
+  };
+  const detach = () => signal?.removeEventListener('abort', userAbortHandler);
+  signal?.addEventListener('abort', userAbortHandler);
+
+  const stream = new ReadableStream({
+    start(controllerRef) {
+      streamController = controllerRef;
+      if (first.done) {
+        detach();
+        controllerRef.close();
+      } else {
+        controllerRef.enqueue(first.value);
+      }
+    },
+    async pull(controllerRef) {
+      try {
+        const { done, value } = await read();
+        if (done) {
+          detach();
+          controllerRef.close();
+        } else {
+          controllerRef.enqueue(value);
+        }
+      } catch (err) {
+        detach();
+        if (err.name === 'TimeoutError' && isDelivered()) {
+          err.message = `${err.message}. Regenerate to try again.`;
+          logger.warn(`Response body ${err.reason} timeout after data was delivered: ${err.message}`);
+          onTimeout?.(err);
+        }
+        controllerRef.error(err);
+      }
+    },
+    cancel(reason) {
+      detach();
+      controller.abort();
+      return reader.cancel(reason);
+    },
+  });
+
+  return createWrappedResponse(stream, response);
+}
@@ -1,22 +1,34 @@
-export function showRetryToast(attempt, maxRetries, error) {
-  const retryNumber = attempt;
-  const message = `retry ${retryNumber}/${maxRetries}`;
-
-  let fullMessage = message;
-  if (error) {
-    const errorMessage = error.message || error.toString() || 'Unknown error';
-    fullMessage = `${message}: ${errorMessage}`;
-  }
+import { STATUS_ACTIONS, classifyStatus, describeStatus } from './status-codes.js';
+import { describeClassification } from './error-classifiers.js';
+import { describeFailoverTarget } from './failover.js';
+
+export function showFailoverToast(fromTarget, toTarget) {
+  const message = `Switching from ${describeFailoverTarget(fromTarget)} to ${describeFailoverTarget(toTarget)}`;
 
   if (typeof toastr !== 'undefined') {
-    toastr.info(fullMessage, 'Fetch Retry', {
+    toastr.warning(message, 'Fetch Retry', {
       timeOut: 5000,
-      extendedTimeOut: 10000,
       closeButton: true,
     });
-    console.log(`[Fetch Retry] Retry toast shown: ${message}`);
+    console.log(`[Fetch Retry] Failover toast shown: ${message}`);
+  } else {
+    console.warn(`[Fetch Retry] ${message}`);
+  }
+}
+
+export function showStreamTimeoutNotification(error, settings) {
+  if (!settings.showErrorNotification) {
+    return;
+  }
+
+  if (typeof toastr !== 'undefined') {
+    toastr.warning(error.message, 'Fetch Retry', {
+      timeOut: 10000,
+      closeButton: true,
+    });
+    console.log(`[Fetch Retry] Stream timeout toast shown: ${error.message}`);
   } else {
-    console.log(`[Fetch Retry] Retry ${retryNumber}/${maxRetries}`);
+    console.warn(`[Fetch Retry] ${error.message}`);
   }
 }
 
@@ -30,23 +42,30 @@ export function showErrorNotification(error, response, settings) {
   let message = 'Fetch failed after all retries';
   let type = 'error';
 
-  if (response) {
-    if (response.status === 429) {
+  if (error?.name === 'RetryBudgetError') {
+    message = error.message;
+  } else if (error?.classification) {
+    message = describeClassification(error.classification);
+  } else if (response && !response.ok) {
+    const statusAction = classifyStatus(response.status, settings);
+    if (statusAction === STATUS_ACTIONS.FAIL) {
+      message = `${describeStatus(response)} (not retried)`;
+    } else if (response.status === 429) {
       message = 'Rate limited (429): Too many requests';
     } else if (response.status >= 500) {
       message = `Server error (${response.status}): ${response.statusText}`;
-    } else if (response.status === 403) {
-      message = 'Forbidden (403): Access denied';
     } else {
       message = `HTTP ${response.status}: ${response.statusText}`;
     }
   } else if (error) {
-    if (error.name === 'TimeoutError') {
-      message = 'Timeout: AI thinking process exceeded limit';
+    if (error.name === 'TimeoutError' || error.name === 'CircuitOpenError') {
+      message = error.message;
       type = 'error';
     } else if (error.name === 'AbortError') {
       message = 'Request aborted';
       type = 'error';
+    } else if (response) {
+      message = error.message;
     } else {
       message = `Network error: ${error.message}`;
     }
@@ -60,3 +79,11 @@ export function showErrorNotification(error, response, settings) {
     alert(`Fetch Retry Error: ${message}`);
   }
 }
+
+export function showSettingsToast(type, message) {
+  if (typeof toastr !== 'undefined') {
+    toastr[type](message, 'Fetch Retry', { closeButton: true });
+  } else {
+    console.log(`[Fetch Retry] ${message}`);
+  }
+}
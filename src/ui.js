@@ -1,6 +1,20 @@
 import { SETTINGS_CONFIG, incrementSettingsVersion } from './settings.js';
+import { renderProfileEditor } from './profile-editor.js';
+import { renderRuleEditor } from './rule-editor.js';
+import { renderBreakerPanel } from './breaker-panel.js';
+import { renderLimiterPanel } from './limiter-panel.js';
+import { renderActivityPanel } from './activity-panel.js';
+import { renderStatsPanel } from './stats-panel.js';
+import { renderPresetPanel } from './preset-panel.js';
+import { PREVIEW_ID, renderBackoffPreview } from './backoff-preview.js';
+import { syncPatches } from './patching.js';
 
 const EXTENSION_NAME = 'Fetch Retry';
+
+// Extra views rendered below a setting, as (settingContainer, drawerContent, settings).
+const SETTING_ADDONS = {
+  maxRetryDelay: renderBackoffPreview,
+};
 const extensionName = 'fetch-retry';
 
 function getBaseUrl() {
@@ -75,6 +89,9 @@ function createSettingItem(container, setting, settings, context, logger) {
         if (varId === 'enabled') {
           toggleCss(inputElement.checked, logger);
         }
+        if (varId === 'enabled' || varId === 'interceptXhr') {
+          syncPatches(settings, logger);
+        }
         logger.debug(`Checkbox setting changed: ${varId} = ${inputElement.checked}`);
       });
       settingRow.appendChild(inputElement);
@@ -174,17 +191,25 @@ function createSettingItem(container, setting, settings, context, logger) {
           errors.push(`${tooLongPatterns.length} pattern(s) exceed ${maxLength} chars`);
         }
 
-        const invalidPatterns = [];
-        for (const pattern of lines) {
-          try {
-            new RegExp(pattern);
-          } catch (err) {
-            invalidPatterns.push(pattern);
+        if (setting.validate) {
+          const validationError = setting.validate(lines);
+          if (validationError) {
+            errors.push(validationError);
+          }
+        } else {
+          const invalidPatterns = [];
+          for (const pattern of lines) {
+            try {
+              new RegExp(pattern);
+            } catch (err) {
+              invalidPatterns.push(pattern);
+            }
           }
-        }
 
-        if (invalidPatterns.length > 0) {
-          errors.push(`Invalid regex: ${invalidPatterns.slice(0, 3).join(', ')}${invalidPatterns.length > 3 ? '...' : ''}`);
+          if (invalidPatterns.length > 0) {
+            const more = invalidPatterns.length > 3 ? '...' : '';
+            errors.push(`Invalid regex: ${invalidPatterns.slice(0, 3).join(', ')}${more}`);
+          }
         }
 
         if (errors.length > 0) {
@@ -204,13 +229,51 @@ function createSettingItem(container, setting, settings, context, logger) {
       settingWrapper.appendChild(inputElement);
       settingWrapper.appendChild(errorElement);
       break;
+    case 'text':
+      inputElement = document.createElement('input');
+      inputElement.id = `fetch-retry-${varId}`;
+      inputElement.type = 'text';
+      inputElement.classList.add('text_pole');
+      inputElement.value = String(settings[varId] ?? defaultValue);
+
+      const textErrorElement = document.createElement('div');
+      textErrorElement.id = `fetch-retry-${varId}-error`;
+      textErrorElement.classList.add('validation-error');
+
+      inputElement.addEventListener('input', () => {
+        const value = inputElement.value.trim();
+        const validationError = setting.validate ? setting.validate(value) : null;
+
+        if (validationError) {
+          textErrorElement.textContent = validationError;
+          textErrorElement.classList.add('visible');
+          inputElement.classList.add('error');
+        } else {
+          textErrorElement.classList.remove('visible');
+          inputElement.classList.remove('error');
+          settings[varId] = value;
+          incrementSettingsVersion(settings);
+          context.saveSettingsDebounced();
+          logger.debug(`Text setting changed: ${varId} = ${value}`);
+        }
+      });
+
+      settingWrapper.appendChild(inputElement);
+      settingWrapper.appendChild(textErrorElement);
+      break;
+    case 'profiles':
+      renderProfileEditor(settingWrapper, setting, settings, context, logger);
+      break;
+    case 'rules':
+      renderRuleEditor(settingWrapper, setting, settings, context, logger);
+      break;
   }
 
   container.appendChild(settingWrapper);
   logger.debug(`Setting item created for: ${varId}`);
 }
 
-function applyAllSettings(settings, logger) {
+export function applyAllSettings(settings, logger) {
   logger.info('Applying all settings to UI...');
 
   SETTINGS_CONFIG.forEach(setting => {
@@ -230,19 +293,47 @@ function applyAllSettings(settings, logger) {
           numberInput.value = String(settings[varId]);
           logger.debug(`UI slider and number input updated for ${varId}: ${String(settings[varId])}`);
         }
-      } else if (type === 'select') {
+      } else if (type === 'select' || type === 'text') {
         element.value = String(settings[varId]);
         logger.debug(`UI select updated for ${varId}: ${String(settings[varId])}`);
       } else if (type === 'textarea') {
         const patterns = settings[varId];
         element.value = Array.isArray(patterns) ? patterns.join('\n') : '';
         logger.debug(`UI textarea updated for ${varId}: ${JSON.stringify(patterns)}`);
+      } else if (type === 'profiles' || type === 'rules') {
+        element.dispatchEvent(new Event('fetch-retry-refresh'));
+        logger.debug(`UI list editor refreshed for ${varId}`);
       }
     }
   });
+  document.getElementById(PREVIEW_ID)?.dispatchEvent(new Event('fetch-retry-refresh'));
   logger.info('All settings applied to UI.');
 }
 
+// Brings the drawer up to date after settings were changed from outside it.
+export function refreshSettingsPanel(settings, logger) {
+  applyAllSettings(settings, logger);
+  toggleCss(settings.enabled, logger);
+  syncPatches(settings, logger);
+}
+
+function renderPresetSection(container, settings, context, logger) {
+  const presetContainer = document.createElement('div');
+  presetContainer.classList.add('fetch-retry-setting-item');
+  renderPresetPanel(presetContainer, settings, context, logger, () => refreshSettingsPanel(settings, logger));
+  container.appendChild(presetContainer);
+}
+
+// Read-only views of runtime state, shown below the settings.
+function renderStatusPanels(container, settings, logger) {
+  [renderBreakerPanel, renderLimiterPanel, renderActivityPanel, renderStatsPanel].forEach(renderPanel => {
+    const panelContainer = document.createElement('div');
+    panelContainer.classList.add('fetch-retry-setting-item');
+    renderPanel(panelContainer, settings, logger);
+    container.appendChild(panelContainer);
+  });
+}
+
 export function renderSettingsPanel(settings, context, logger) {
   logger.info('Rendering extension settings...');
   const settingsContainer = document.getElementById('FetchRetry-container') ?? document.getElementById('extensions_settings2');
@@ -280,14 +371,19 @@ export function renderSettingsPanel(settings, context, logger) {
 
   inlineDrawer.append(inlineDrawerToggle, inlineDrawerContent);
 
+  renderPresetSection(inlineDrawerContent, settings, context, logger);
+
   SETTINGS_CONFIG.forEach(setting => {
     const settingContainer = document.createElement('div');
     settingContainer.classList.add('fetch-retry-setting-item');
     createSettingItem(settingContainer, setting, settings, context, logger);
+    SETTING_ADDONS[setting.varId]?.(settingContainer, inlineDrawerContent, settings);
     inlineDrawerContent.appendChild(settingContainer);
     logger.debug(`Created UI item for setting: ${setting.varId}`);
   });
 
+  renderStatusPanels(inlineDrawerContent, settings, logger);
+
   inlineDrawerToggle.addEventListener('click', function () {
     this.classList.toggle('open');
     inlineDrawerIcon.classList.toggle('down');
@@ -0,0 +1,42 @@
+const MAX_PATTERN_LENGTH = 500;
+const DANGEROUS_QUANTIFIERS = /(\+\*|\*\+|\{\d{3,}\}|\+{3,}|\*{3,})/;
+
+// Why a pattern would be skipped by compileUrlPattern, or null when it compiles.
+export function getUrlPatternError(pattern) {
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return `Pattern too long (${pattern.length}/${MAX_PATTERN_LENGTH} chars)`;
+  }
+  if (DANGEROUS_QUANTIFIERS.test(pattern)) {
+    return 'Pattern contains potentially dangerous repetition quantifiers';
+  }
+  try {
+    RegExp(pattern);
+  } catch (err) {
+    return `Invalid regex: ${err.message}`;
+  }
+  return null;
+}
+
+export function compileUrlPattern(pattern, logger) {
+  const error = getUrlPatternError(pattern);
+  if (error) {
+    logger.warn(`${error}, skipping: ${pattern.substring(0, 50)}`);
+    return null;
+  }
+  return new RegExp(pattern);
+}
+
+/**
+ * Groups requests for per-upstream state: the URL's host, or the name of the matching retry
+ * profile when `scope` is 'profile' (requests without a profile fall back to their host).
+ */
+export function getScopeKey(url, policy, scope) {
+  if (scope === 'profile' && policy.profileName) {
+    return `profile: ${policy.profileName}`;
+  }
+  try {
+    return new URL(url, window.location.href).host || url;
+  } catch {
+    return url;
+  }
+}
@@ -0,0 +1,238 @@
+import { calculateRetryDelay, mayRetry, resolveMethodPolicy, shouldApplyRetryLogic } from './fetch-retry.js';
+import { STATUS_ACTIONS, classifyStatus, createStatusError } from './status-codes.js';
+import { createRetryBudgetError, recordBudgetRequest } from './retry-budget.js';
+import { createRetryToast } from './retry-toast.js';
+import { showErrorNotification } from './toast.js';
+
+const DONE = 4;
+const MIN_ERROR_STATUS = 300;
+
+// Events that end an attempt. Those of a failed attempt are held back from the caller while it is retried.
+const ATTEMPT_END_EVENTS = ['readystatechange', 'load', 'error', 'timeout', 'loadend'];
+// Events that start or advance an attempt. The caller sees each once per send(), not again for every retry.
+const ATTEMPT_START_EVENTS = ['loadstart'];
+
+// Retry state per request object, kept off the object so callers never see it.
+const states = new WeakMap();
+
+function createState(context) {
+  return {
+    context,
+    openArgs: null,
+    headers: [],
+    body: null,
+    policy: null,
+    attempt: 0,
+    lastDelay: null,
+    failure: null,
+    forwarded: new Set(),
+    holding: false,
+    timer: null,
+    toast: null,
+  };
+}
+
+function parseResponseHeaders(xhr) {
+  const headers = new Headers();
+  xhr.getAllResponseHeaders().split(/[\r\n]+/).forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers.append(line.slice(0, separator).trim(), line.slice(separator + 1).trim());
+    }
+  });
+  return headers;
+}
+
+// The parts of a fetch Response that status classification, backoff and notifications read.
+function describeResponse(xhr) {
+  return {
+    ok: xhr.status < MIN_ERROR_STATUS,
+    status: xhr.status,
+    statusText: xhr.statusText,
+    headers: parseResponseHeaders(xhr),
+  };
+}
+
+/**
+ * Classifies a finished attempt like the fetch retry loop does. Returns null for a success or
+ * a pass-through status, otherwise `{ error, response, retryable }`.
+ */
+function getFailure(xhr, policy) {
+  if (xhr.status === 0) {
+    return { error: new TypeError('XMLHttpRequest failed'), response: null, retryable: true };
+  }
+  const response = describeResponse(xhr);
+  if (response.ok) {
+    return null;
+  }
+  const action = classifyStatus(response.status, policy);
+  if (action === STATUS_ACTIONS.PASS) {
+    return null;
+  }
+  return { error: createStatusError(response), response, retryable: action === STATUS_ACTIONS.RETRY };
+}
+
+function dispatchProgressEvents(xhr, types) {
+  const EventClass = window.ProgressEvent ?? Event;
+  types.forEach(type => xhr.dispatchEvent(new EventClass(type)));
+}
+
+function stopWaiting(state) {
+  clearTimeout(state.timer);
+  Object.assign(state, { timer: null });
+}
+
+function finish(state) {
+  stopWaiting(state);
+  state.toast?.close();
+  Object.assign(state, { policy: null, failure: null, holding: false, toast: null });
+}
+
+function resend(xhr, state) {
+  const { native, logger } = state.context;
+  stopWaiting(state);
+  Object.assign(state, { attempt: state.attempt + 1, failure: null });
+  state.toast.showAttempt(state.attempt + 1, state.policy.maxRetries + 1);
+  logger.debug(`Sending XMLHttpRequest attempt ${state.attempt + 1}/${state.policy.maxRetries + 1}.`);
+  // Still holding, so the readystatechange fired by open() does not reach the caller either.
+  native.open.apply(xhr, state.openArgs);
+  Object.assign(state, { holding: false });
+  state.headers.forEach(([name, value]) => native.setRequestHeader.call(xhr, name, value));
+  native.send.call(xhr, state.body);
+}
+
+// Between attempts the held failure is handed to the caller's handlers; during one, the request is aborted.
+function giveUp(xhr, state) {
+  state.context.logger.info('Giving up on the XMLHttpRequest from the retry notification.');
+  const { failure } = state;
+  if (!failure) {
+    xhr.abort();
+    return;
+  }
+  finish(state);
+  dispatchProgressEvents(xhr, ['readystatechange', failure.response ? 'load' : 'error', 'loadend']);
+}
+
+function scheduleRetry(xhr, state, failure) {
+  const { policy, context: { logger } } = state;
+  const delay = calculateRetryDelay(failure.error, failure.response, state.attempt, policy, logger, state.lastDelay);
+  logger.warn(`${failure.error.message} for XMLHttpRequest to ${state.openArgs[1]}, retry ` +
+    `${state.attempt + 1}/${policy.maxRetries} in ${delay}ms.`);
+  if (!state.toast) {
+    Object.assign(state, { toast: createRetryToast(() => giveUp(xhr, state)) });
+  }
+  Object.assign(state, {
+    lastDelay: delay,
+    failure,
+    holding: true,
+    timer: setTimeout(() => resend(xhr, state), delay),
+  });
+  state.toast.showCountdown({
+    retryNumber: state.attempt + 1,
+    maxRetries: policy.maxRetries,
+    reason: failure.error.message,
+    delay,
+    onRetryNow: () => resend(xhr, state),
+  });
+}
+
+// Lets through the first loadstart and readyState change of a send(); the repeats from retries are dropped.
+function forwardOnce(xhr, state, event) {
+  const key = event.type === 'readystatechange' ? `readyState ${xhr.readyState}` : event.type;
+  if (state.forwarded.has(key)) {
+    event.stopImmediatePropagation();
+  } else {
+    state.forwarded.add(key);
+  }
+}
+
+function onAttemptEvent(xhr, event) {
+  const state = states.get(xhr);
+  if (state.holding) {
+    event.stopImmediatePropagation();
+    return;
+  }
+  if (!state.policy) {
+    return;
+  }
+  if (event.type === 'loadstart' || (event.type === 'readystatechange' && xhr.readyState !== DONE)) {
+    forwardOnce(xhr, state, event);
+    return;
+  }
+  if (event.type !== 'readystatechange') {
+    return;
+  }
+
+  const failure = getFailure(xhr, state.policy);
+  if (failure?.retryable && mayRetry(failure.error, state.attempt, state.policy, state.context.logger)) {
+    event.stopImmediatePropagation();
+    scheduleRetry(xhr, state, failure);
+    return;
+  }
+  finish(state);
+  if (failure) {
+    const error = failure.error.retryBudgetExhausted ? createRetryBudgetError(failure.error) : failure.error;
+    showErrorNotification(error, failure.response, state.context.settings);
+  }
+}
+
+/**
+ * Wraps `OriginalXhr` so asynchronous requests to matching URLs are retried with the same
+ * URL filter, status lists, backoff, retry budget and notifications as fetch. A failed
+ * attempt's end events are held back and the request is sent again on the same object, so
+ * `onload`/`onerror` handlers and jQuery's `$.ajax` promises only see the final attempt, and
+ * `loadstart` and each readyState before DONE reach the caller only once per send().
+ */
+export function createRetryableXhr(OriginalXhr, settings, logger) {
+  const native = OriginalXhr.prototype;
+  const context = { native, settings, logger };
+
+  return class RetryableXMLHttpRequest extends OriginalXhr {
+    constructor(...args) {
+      super(...args);
+      states.set(this, createState(context));
+      // Registered before any of the caller's listeners, so they can be kept from seeing a failed attempt.
+      [...ATTEMPT_START_EVENTS, ...ATTEMPT_END_EVENTS].forEach(type => {
+        this.addEventListener(type, event => onAttemptEvent(this, event));
+      });
+    }
+
+    open(method, url, ...rest) {
+      const state = states.get(this);
+      finish(state);
+      Object.assign(state, { openArgs: null, headers: [], attempt: 0, lastDelay: null, forwarded: new Set() });
+      const isAsync = rest[0] ?? true;
+      const requestUrl = String(url);
+      if (settings.enabled && settings.interceptXhr && isAsync && shouldApplyRetryLogic(requestUrl, settings, logger)) {
+        const policy = resolveMethodPolicy(requestUrl, String(method).toUpperCase(), settings, logger);
+        Object.assign(state, { policy, openArgs: [method, url, ...rest] });
+      }
+      return native.open.call(this, method, url, ...rest);
+    }
+
+    setRequestHeader(name, value) {
+      states.get(this).headers.push([name, value]);
+      return native.setRequestHeader.call(this, name, value);
+    }
+
+    send(body = null) {
+      const state = states.get(this);
+      if (state.policy) {
+        Object.assign(state, { body });
+        recordBudgetRequest();
+      }
+      return native.send.call(this, body);
+    }
+
+    abort() {
+      const state = states.get(this);
+      // Between attempts the request has already ended, so the abort events are not fired for us.
+      const waiting = state.timer !== null;
+      finish(state);
+      native.abort.call(this);
+      if (waiting) {
+        dispatchProgressEvents(this, ['abort', 'loadend']);
+      }
+    }
+  };
+}